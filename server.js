@@ -2,44 +2,117 @@
 // ✅ FixtureDownload schema support (DateUtc, HomeTeamScore, AwayTeamScore)
 // ✅ xG-style adjustment: shrink extreme scores (cap + shrink to league mean)
 // ✅ Home/Away split strengths: attH/defH + attA/defA
+// ✅ Dixon-Coles rho: low-score (0-0, 1-0, 0-1, 1-1) dependence correction
+// ✅ Model families: poisson (DC) | bivpois | negbin via model= (registry: MODEL_FAMILIES)
 // ✅ Totals calibration: Platt scaling for OU2.5 & OU3.5 with guardrails
+// ✅ calibration=: platt|isotonic (OU) + temperature|vector|draw (1X2 multinomial), same guardrail
 // ✅ /api/diagnostics: season drift, base rates, top scorelines
 // ✅ /api/backtest: baselines + deltaLogloss + fixed-odds ROI sim
 // ✅ /api/backtest: mode=static or mode=walk (walk-forward expanding)
+// ✅ /api/backtest: mode=rolling (every season on prior data only) + bootstrap confidence intervals
+// ✅ /api/backtest: detail=matches + format=json|csv|jsonl per-match export (model version, raw/calibrated probs, bets)
+// ✅ /api/backtest: staking=flat|kelly|fractional_kelly|fixed_pct bankroll sim (caps, drawdown, risk of ruin)
+// ✅ Exchange lay side: lay prices (ingested or back + spread), lay EV net of commission, liability in /api/value + sides= in /api/backtest
+// ✅ /api/backtest: strategies= named bet-selection rules (all 1X2, draws, underdogs, unders, best per match...) side by side
+// ✅ Extra markets: BTTS, correct score, Asian handicap (quarter lines), alt totals 0.5-5.5
+// ✅ Real odds: CSV/JSON ingestion (POST /api/odds + ODDS_DIR), used by /api/value + /api/backtest
+// ✅ Feed snapshots: persisted per feed, DATA_MODE=offline, last-good fallback on fetch errors
+// ✅ Team registry: raw feed names -> canonical id/name/short code, unknown-name warnings
+// ✅ Model artifacts: every distinct getModelFor build versioned on disk, model_id= pins /api/value + /api/teams
+// ✅ /api/tune: grid/random search of model knobs scored by walk-forward logloss (background jobs)
+// ✅ Bet ledger: POST/GET/DELETE /api/bets (BETS_FILE), auto-settled from feed results, /api/bets/summary
+// ✅ Closing-line value: timestamped odds snapshots, close at kickoff, CLV on /api/value picks + ledger bets
+// ✅ Forecast archive: matchProbs frozen 48h/1h before kickoff (FORECASTS_FILE), /api/forecasts/performance scores them like /api/backtest
+// ✅ Value alerts: POST /api/alerts subscriptions (value filters + webhook), checked after each refresh, HMAC-signed, deduped, retries logged
+// ✅ /api/simulate/season: Monte Carlo ladder, Premiers' Plate + top-6 odds (points, GD, GF tie-breakers)
+// ✅ /api/simulate/finals: top-six bracket, two-legged semis, extra time/penalties, seeding= or simulated ladder
+// ✅ /api/matches/:fixtureId/preview: full scoreline grid, mu breakdown, form, head-to-head, calibration
+// ✅ /api/inplay/:fixtureId: minute + score (+ red cards) conditioned 1X2, remaining totals, next goal
+// ✅ Elo ratings (GD-weighted, home-aware, season regression): /api/ratings, history, predictor=elo in /api/backtest
+// ✅ /api/teams/:team/history: attH/defH/attA/defA per round (as-of-round refits)
+// ✅ Multi-competition: config-driven COMPETITIONS, competition= on every route
 // Endpoints:
 //  - /health
+//  - /api/competitions
+//  - /api/feeds
 //  - /api/seasons
 //  - /api/fixtures
 //  - /api/value
 //  - /api/teams
+//  - /api/teams/aliases
+//  - /api/teams/:team/history
 //  - /api/backtest
 //  - /api/diagnostics
-
+//  - /api/odds (GET + POST)
+//  - /api/models, /api/models/:id
+//  - /api/tune (POST), /api/tune/:jobId
+//  - /api/bets (GET + POST), /api/bets/:id (DELETE), /api/bets/summary
+//  - /api/clv/recommendations, /api/clv/summary
+//  - /api/forecasts, /api/forecasts/snapshot (POST), /api/forecasts/performance
+//  - /api/alerts (GET + POST), /api/alerts/:id (GET + DELETE), /api/alerts/check (POST), /api/alerts/deliveries
+//  - /api/simulate/season, /api/simulate/finals
+//  - /api/matches/:fixtureId/preview
+//  - /api/inplay/:fixtureId
+//  - /api/ratings, /api/ratings/:team/history
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
 const express = require("express");
 const cors = require("cors");
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "5mb" }));
+app.use(express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }));
 
 const PORT = process.env.PORT || 10000;
 
 // ------------------- CONFIG -------------------
 const BRISBANE_TZ = "Australia/Brisbane";
 const COMMISSION = 0.05;
+// exchange lay price when only a back price is known: 1 + (back - 1) * (1 + LAY_SPREAD)
+const LAY_SPREAD = 0.02;
 const MAX_GOALS = 8;
 
-// FixtureDownload feeds
-const SEASON_FEEDS = [
-  { season: "2022/23", url: "https://fixturedownload.com/feed/json/aleague-2022" },
-  { season: "2023/24", url: "https://fixturedownload.com/feed/json/aleague-men-2023" },
-  { season: "2024/25", url: "https://fixturedownload.com/feed/json/aleague-men-2024" },
-  { season: "2025/26", url: "https://fixturedownload.com/feed/json/aleague-men-2025" }
+// Competitions (FixtureDownload feeds, oldest season first; the last one is "current")
+// COMPETITIONS_FILE may point at a JSON array of the same shape: same id replaces, new ids are added.
+const DEFAULT_COMPETITIONS = [
+  {
+    id: "aleague-men",
+    name: "A-LEAGUE (MEN)",
+    seasons: [
+      { season: "2022/23", url: "https://fixturedownload.com/feed/json/aleague-2022" },
+      { season: "2023/24", url: "https://fixturedownload.com/feed/json/aleague-men-2023" },
+      { season: "2024/25", url: "https://fixturedownload.com/feed/json/aleague-men-2024" },
+      { season: "2025/26", url: "https://fixturedownload.com/feed/json/aleague-men-2025" }
+    ]
+  },
+  {
+    id: "aleague-women",
+    name: "A-LEAGUE (WOMEN)",
+    seasons: [
+      { season: "2022/23", url: "https://fixturedownload.com/feed/json/aleague-women-2022" },
+      { season: "2023/24", url: "https://fixturedownload.com/feed/json/aleague-women-2023" },
+      { season: "2024/25", url: "https://fixturedownload.com/feed/json/aleague-women-2024" },
+      { season: "2025/26", url: "https://fixturedownload.com/feed/json/aleague-women-2025" }
+    ]
+  }
 ];
+const COMPETITIONS = loadCompetitionsConfig(DEFAULT_COMPETITIONS, process.env.COMPETITIONS_FILE);
+const DEFAULT_COMPETITION = process.env.DEFAULT_COMPETITION || "aleague-men";
 
 const FIXTURE_CACHE_MS = 6 * 60 * 60 * 1000;
 const MODEL_CACHE_MS = 6 * 60 * 60 * 1000;
 
+// Feed snapshots: every good fetch is persisted; DATA_MODE=offline serves snapshots only
+const DATA_MODE = process.env.DATA_MODE === "offline" ? "offline" : "online";
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, "data", "feeds");
+const FEED_RETRY_MS = 5 * 60 * 1000; // after a failed fetch, serve the snapshot this long before retrying
+const FEED_TIMEOUT_MS = 15000; // a feed that hangs counts as failed, so the snapshot is served
+
 // Model knobs
 const HALF_LIFE_DAYS = 240;
 const MIN_GAMES_PER_TEAM = 6;
@@ -52,12 +125,56 @@ const SHRINK_ALPHA = 0.10;
 const HA_L2 = 0.015;
 const HA_L2_HA = 0.01; // home-adv reg
 
+// Dixon-Coles low-score correction (rho fitted on raw integer scores)
+const DC_RHO_LR = 0.5;
+const DC_RHO_MIN = -0.25;
+const DC_RHO_MAX = 0.25;
+
+// Model families (model= query param); see MODEL_FAMILIES
+const DEFAULT_MODEL_FAMILY = "poisson";
+const BIVPOIS_COV_MAX = 0.40;
+const NEGBIN_SIZE_MIN = 1;
+const NEGBIN_SIZE_MAX = 500;
+
 // Walk-forward rebuild frequency
 const WALK_REBUILD_EVERY = 6;
 
-// Platt calibration thresholds + guardrail
+// Model artifacts: one JSON per distinct build (GET /api/models, model_id= pins a version); oldest pruned past the max
+const MODELS_DIR = process.env.MODELS_DIR || path.join(__dirname, "data", "models");
+const MODEL_ARTIFACTS_MAX = Math.max(1, Number(process.env.MODEL_ARTIFACTS_MAX ?? 200) || 200);
+
+// Real odds: every *.csv / *.json in this directory is loaded (uploads are written here too)
+const ODDS_DIR = process.env.ODDS_DIR || path.join(__dirname, "data", "odds");
+
+// Bet ledger (placed bets, settled from feed results)
+const BETS_FILE = process.env.BETS_FILE || path.join(__dirname, "data", "bets.json");
+
+// value recommendations (first price seen per selection, logged after odds/model refreshes), scored against the closing line
+const RECOMMENDATIONS_FILE = process.env.RECOMMENDATIONS_FILE || path.join(__dirname, "data", "recommendations.json");
+
+// Forecast archive: matchProbs frozen at these hours before kickoff, checked every FORECAST_CHECK_MINUTES (0 = no timer)
+const FORECASTS_FILE = process.env.FORECASTS_FILE || path.join(__dirname, "data", "forecasts.json");
+const FORECAST_HORIZONS_HOURS = String(process.env.FORECAST_HORIZONS_HOURS || "48,1")
+  .split(",").map(Number).filter(x => Number.isFinite(x) && x > 0).sort((a, b) => b - a);
+const FORECAST_CHECK_MINUTES = Math.max(0, Number(process.env.FORECAST_CHECK_MINUTES ?? 10) || 0);
+const FORECAST_FAMILIES = String(process.env.FORECAST_FAMILIES || DEFAULT_MODEL_FAMILY).split(",").map(x => x.trim()).filter(Boolean);
+
+// Value alerts: webhook subscriptions, re-checked after every data refresh and every ALERT_CHECK_MINUTES (0 = refreshes only)
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join(__dirname, "data", "alerts.json");
+const ALERT_DELIVERIES_FILE = process.env.ALERT_DELIVERIES_FILE || path.join(__dirname, "data", "alert-deliveries.json");
+const ALERT_CHECK_MINUTES = Math.max(0, Number(process.env.ALERT_CHECK_MINUTES ?? 15) || 0);
+const ALERT_DEBOUNCE_MS = 2000; // refreshes arrive in bursts (one per feed URL); check once after they settle
+const ALERT_MAX_ATTEMPTS = 4;
+const ALERT_RETRY_BASE_MS = Math.max(0, Number(process.env.ALERT_RETRY_BASE_MS ?? 30000) || 0); // then x2 per retry
+const ALERT_TIMEOUT_MS = 10000;
+const ALERT_DELIVERY_LOG_MAX = 1000;
+// webhook hosts that may resolve to loopback/private/link-local addresses (refused otherwise), e.g. "localhost"
+const ALERT_URL_ALLOW = String(process.env.ALERT_URL_ALLOW || "").split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+
+// Platt calibration thresholds + guardrail (held-out logloss over CALIBRATION_CV_FOLDS folds)
 const PLATT_MIN_SAMPLES = 60;
 const PLATT_IMPROVE_EPS = 0.002;
+const CALIBRATION_CV_FOLDS = 5;
 
 // ------------------- UTIL -------------------
 function pick(obj, keys, fallback = null) {
@@ -71,6 +188,24 @@ function clamp(x, lo, hi) {
   return Math.max(lo, Math.min(hi, x));
 }
 
+// optional numeric param: fallback when absent, else clamped to [lo, hi]; null when it is not a finite number
+function finiteParam(v, fallback, lo, hi) {
+  if (v == null || v === "") return fallback;
+  const x = Number(v);
+  return Number.isFinite(x) ? clamp(x, lo, hi) : null;
+}
+
+// { name: finiteParam result } -> 400 body naming the first one that was not a number, or null
+function nonFiniteParamError(parsed) {
+  const bad = Object.keys(parsed).find(k => parsed[k] == null);
+  return bad ? { error: `${bad} must be a number` } : null;
+}
+
+// lets pending I/O (other requests) run between chunks of long synchronous work
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
 function parseDateFlexible(v) {
   if (!v) return null;
 
@@ -114,6 +249,40 @@ function poissonP(k, lam) {
   return Math.exp(-lam) * Math.pow(lam, k) / fact;
 }
 
+// Dixon-Coles tau: only 0-0, 0-1, 1-0, 1-1 are adjusted
+function dcTau(hg, ag, muH, muA, rho) {
+  if (!rho) return 1;
+  if (hg === 0 && ag === 0) return 1 - muH * muA * rho;
+  if (hg === 0 && ag === 1) return 1 + muH * rho;
+  if (hg === 1 && ag === 0) return 1 + muA * rho;
+  if (hg === 1 && ag === 1) return 1 - rho;
+  return 1;
+}
+
+// d/drho log(tau)
+function dcTauGrad(hg, ag, muH, muA, rho) {
+  const tau = Math.max(1e-6, dcTau(hg, ag, muH, muA, rho));
+  if (hg === 0 && ag === 0) return -muH * muA / tau;
+  if (hg === 0 && ag === 1) return muH / tau;
+  if (hg === 1 && ag === 0) return muA / tau;
+  if (hg === 1 && ag === 1) return -1 / tau;
+  return 0;
+}
+
+// 0..MAX_GOALS scoreline grid (independent Poissons x Dixon-Coles tau), unnormalised
+function scoreMatrix(muH, muA, rho = 0) {
+  const grid = [];
+  for (let hg = 0; hg <= MAX_GOALS; hg++) {
+    const ph = poissonP(hg, muH);
+    const row = [];
+    for (let ag = 0; ag <= MAX_GOALS; ag++) {
+      row.push(ph * poissonP(ag, muA) * Math.max(0, dcTau(hg, ag, muH, muA, rho)));
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
 function logSafe(x) {
   return Math.log(clamp(x, 1e-12, 1 - 1e-12));
 }
@@ -142,26 +311,217 @@ function parseScore(resultStr) {
   return { hg: Number(m[1]), ag: Number(m[2]) };
 }
 
+// ------------------- COMPETITIONS -------------------
+function loadCompetitionsConfig(defaults, file) {
+  const byId = new Map(defaults.map(c => [c.id, c]));
+  if (file) {
+    const extra = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(extra)) throw new Error(`COMPETITIONS_FILE ${file} must contain a JSON array`);
+    for (const c of extra) {
+      const ok = c && typeof c.id === "string" && Array.isArray(c.seasons) && c.seasons.length > 0 &&
+        c.seasons.every(s => s && typeof s.season === "string" && typeof s.url === "string");
+      if (!ok) throw new Error(`COMPETITIONS_FILE ${file}: invalid competition ${JSON.stringify(c?.id ?? c)}`);
+      byId.set(c.id, { name: c.id, ...c });
+    }
+  }
+  return [...byId.values()];
+}
+
+function getCompetition(id) {
+  return COMPETITIONS.find(c => c.id === String(id || DEFAULT_COMPETITION)) || null;
+}
+
+function unknownCompetitionError(id) {
+  return { error: `unknown competition "${id}"`, competitions: COMPETITIONS.map(c => c.id) };
+}
+
+function currentSeasonOf(comp) {
+  return comp.currentSeason || comp.seasons[comp.seasons.length - 1].season;
+}
+
+// ------------------- TEAM REGISTRY (CANONICAL NAMES + ALIASES) -------------------
+// Raw feed names are matched case/punctuation-insensitively against name + aliases.
+// TEAM_ALIASES_FILE may point at a JSON array of the same shape: same id replaces, new ids are added.
+const DEFAULT_TEAMS = [
+  { id: "adelaide-united", name: "Adelaide United", short: "ADL", aliases: ["Adelaide United FC", "Adelaide"] },
+  { id: "auckland-fc", name: "Auckland FC", short: "AUC", aliases: ["Auckland"] },
+  { id: "brisbane-roar", name: "Brisbane Roar", short: "BRI", aliases: ["Brisbane Roar FC", "Brisbane"] },
+  { id: "canberra-united", name: "Canberra United", short: "CBR", aliases: ["Canberra United FC", "Canberra"] },
+  { id: "central-coast-mariners", name: "Central Coast Mariners", short: "CCM", aliases: ["Central Coast Mariners FC", "Central Coast", "CC Mariners", "Mariners"] },
+  { id: "macarthur-fc", name: "Macarthur FC", short: "MAC", aliases: ["Macarthur", "Macarthur Bulls"] },
+  { id: "melbourne-city", name: "Melbourne City", short: "MCY", aliases: ["Melbourne City FC", "Melb City", "Melbourne C"] },
+  { id: "melbourne-victory", name: "Melbourne Victory", short: "MVC", aliases: ["Melbourne Victory FC", "Melb Victory", "Melbourne V"] },
+  { id: "newcastle-jets", name: "Newcastle Jets", short: "NEW", aliases: ["Newcastle Jets FC", "Newcastle"] },
+  { id: "perth-glory", name: "Perth Glory", short: "PER", aliases: ["Perth Glory FC", "Perth"] },
+  { id: "sydney-fc", name: "Sydney FC", short: "SYD", aliases: ["Sydney"] },
+  { id: "wellington-phoenix", name: "Wellington Phoenix", short: "WEL", aliases: ["Wellington Phoenix FC", "Wellington"] },
+  { id: "western-sydney-wanderers", name: "Western Sydney Wanderers", short: "WSW", aliases: ["Western Sydney Wanderers FC", "WS Wanderers", "W Sydney Wanderers", "Western Sydney"] },
+  { id: "western-united", name: "Western United", short: "WUN", aliases: ["Western United FC"] }
+];
+const TEAM_REGISTRY = loadTeamRegistry(DEFAULT_TEAMS, process.env.TEAM_ALIASES_FILE);
+
+// finals placeholders are not teams and never warn
+const PLACEHOLDER_TEAM_RE = /^(tbd|tba|tbc|to be (announced|confirmed|determined))$/i;
+
+function teamKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function slugify(name) {
+  return teamKey(name).replace(/ /g, "-");
+}
+
+function loadTeamRegistry(defaults, file) {
+  const byId = new Map(defaults.map(t => [t.id, t]));
+  if (file) {
+    const extra = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(extra)) throw new Error(`TEAM_ALIASES_FILE ${file} must contain a JSON array`);
+    for (const t of extra) {
+      if (!t || typeof t.id !== "string" || typeof t.name !== "string") {
+        throw new Error(`TEAM_ALIASES_FILE ${file}: invalid team ${JSON.stringify(t?.id ?? t)}`);
+      }
+      byId.set(t.id, { short: t.name.slice(0, 3).toUpperCase(), aliases: [], ...t });
+    }
+  }
+
+  const byKey = new Map();
+  for (const t of byId.values()) {
+    for (const n of [t.name, t.id, ...(t.aliases || [])]) {
+      const k = teamKey(n);
+      if (byKey.has(k) && byKey.get(k).id !== t.id) {
+        throw new Error(`team alias "${n}" maps to both ${byKey.get(k).id} and ${t.id}`);
+      }
+      byKey.set(k, t);
+    }
+  }
+  return { teams: [...byId.values()], byKey };
+}
+
+// raw feed name -> { id, name, short, known }
+function resolveTeam(raw) {
+  const s = raw == null ? "" : String(raw).trim();
+  if (!s || PLACEHOLDER_TEAM_RE.test(s)) return { id: "tbd", name: "TBD", short: "TBD", known: true };
+  const t = TEAM_REGISTRY.byKey.get(teamKey(s));
+  if (t) return { id: t.id, name: t.name, short: t.short, known: true };
+  return { id: slugify(s), name: s, short: s.replace(/[^A-Za-z]/g, "").slice(0, 3).toUpperCase(), known: false };
+}
+
+// data-quality log: unknown names seen per feed (warned once per feed + name)
+let unknownTeams = { byUrl: new Map() }; // url -> Map(raw -> { raw, firstSeenAt, lastSeenAt })
+
+function noteUnknownTeam(url, raw) {
+  if (!unknownTeams.byUrl.has(url)) unknownTeams.byUrl.set(url, new Map());
+  const seen = unknownTeams.byUrl.get(url);
+  const now = new Date().toISOString();
+  const cur = seen.get(raw);
+  if (cur) { cur.lastSeenAt = now; return; }
+  seen.set(raw, { raw, firstSeenAt: now, lastSeenAt: now });
+  console.warn(`[data-quality] unknown team name "${raw}" in ${url} (add it to the team registry aliases)`);
+}
+
+// ------------------- DATA SOURCE (NETWORK + SNAPSHOTS) -------------------
+// Snapshot file: { url, fetchedAt, rows }
+let feedStatus = { byUrl: new Map() }; // url -> { source, lastFetchAt, lastOkAt, lastError, lastErrorAt }
+
+function snapshotPathFor(url) {
+  const name = String(url).replace(/^https?:\/\//, "").replace(/[^a-z0-9._-]+/gi, "_");
+  return path.join(SNAPSHOT_DIR, `${name}.json`);
+}
+
+async function readSnapshot(url) {
+  try {
+    const snap = JSON.parse(await fs.promises.readFile(snapshotPathFor(url), "utf8"));
+    return Array.isArray(snap?.rows) ? snap : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function writeSnapshot(url, rows, fetchedAt) {
+  const file = snapshotPathFor(url);
+  await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify({ url, fetchedAt: new Date(fetchedAt).toISOString(), rows }));
+  await fs.promises.rename(tmp, file);
+}
+
+async function fetchFeedRows(url) {
+  const r = await fetch(url, { headers: { accept: "application/json" }, signal: AbortSignal.timeout(FEED_TIMEOUT_MS) });
+  if (!r.ok) throw new Error(`feed fetch failed ${url} HTTP ${r.status}`);
+  const json = await r.json();
+  return Array.isArray(json) ? json : (json?.data || json?.matches || json?.fixtures || []);
+}
+
+function setFeedStatus(url, patch) {
+  feedStatus.byUrl.set(url, { ...(feedStatus.byUrl.get(url) || {}), ...patch });
+}
+
 // ------------------- FETCH + CACHE -------------------
 let feedCache = { byUrl: new Map() };
-let modelCache = { ts: 0, key: "", model: null };
+let modelCache = { byKey: new Map() }; // key: `${competition}|${family}|${trainKey}`
+
+// new feed rows, a new live (default_all) model or reloaded odds: listeners (value alerts) re-check;
+// never fails the caller
+const dataRefreshListeners = [];
+
+function onDataRefresh(fn) {
+  dataRefreshListeners.push(fn);
+}
+
+function notifyDataRefresh(kind, key) {
+  for (const fn of dataRefreshListeners) {
+    try {
+      fn(kind, key);
+    } catch (e) {
+      console.warn(`[refresh] ${kind} listener failed: ${e?.message || e}`);
+    }
+  }
+}
 
 async function loadFeed(url) {
   const now = Date.now();
   const cached = feedCache.byUrl.get(url);
-  if (cached && (now - cached.ts) < FIXTURE_CACHE_MS) return cached.data;
+  if (cached && (now - cached.ts) < cached.ttl) return cached.data;
+
+  if (DATA_MODE === "offline") {
+    const snap = await readSnapshot(url);
+    if (!snap) throw new Error(`offline mode: no snapshot for ${url} in ${SNAPSHOT_DIR}`);
+    setFeedStatus(url, { source: "snapshot" });
+    feedCache.byUrl.set(url, { ts: now, ttl: FIXTURE_CACHE_MS, data: snap.rows });
+    notifyDataRefresh("feed", url);
+    return snap.rows;
+  }
 
-  const r = await fetch(url, { headers: { accept: "application/json" } });
-  if (!r.ok) throw new Error(`feed fetch failed ${url} HTTP ${r.status}`);
-  const json = await r.json();
-  const rows = Array.isArray(json) ? json : (json?.data || json?.matches || json?.fixtures || []);
-  feedCache.byUrl.set(url, { ts: now, data: rows });
+  setFeedStatus(url, { lastFetchAt: new Date(now).toISOString() });
+  let rows;
+  try {
+    rows = await fetchFeedRows(url);
+  } catch (e) {
+    setFeedStatus(url, { lastError: e?.message || String(e), lastErrorAt: new Date(now).toISOString() });
+    const snap = await readSnapshot(url);
+    if (!snap) throw e;
+    setFeedStatus(url, { source: "snapshot" });
+    feedCache.byUrl.set(url, { ts: now, ttl: FEED_RETRY_MS, data: snap.rows });
+    return snap.rows;
+  }
+
+  setFeedStatus(url, { source: "network", lastOkAt: new Date(now).toISOString(), lastError: null });
+  try {
+    await writeSnapshot(url, rows, now);
+    setFeedStatus(url, { snapshotError: null });
+  } catch (e) {
+    setFeedStatus(url, { snapshotError: e?.message || String(e) });
+  }
+  feedCache.byUrl.set(url, { ts: now, ttl: FIXTURE_CACHE_MS, data: rows });
+  notifyDataRefresh("feed", url);
   return rows;
 }
 
 function rowToUnified(row, seasonLabel) {
-  const home = pick(row, ["HomeTeam", "Home Team", "HomeTeamName", "HomeTeamShort", "Home"]);
-  const away = pick(row, ["AwayTeam", "Away Team", "AwayTeamName", "AwayTeamShort", "Away"]);
+  const homeRaw = pick(row, ["HomeTeam", "Home Team", "HomeTeamName", "HomeTeamShort", "Home"]);
+  const awayRaw = pick(row, ["AwayTeam", "Away Team", "AwayTeamName", "AwayTeamShort", "Away"]);
+  const home = resolveTeam(homeRaw);
+  const away = resolveTeam(awayRaw);
   const location = pick(row, ["Location", "Venue", "venue", "stadium"], "");
   const round = pick(row, ["RoundNumber", "Round Number", "Round", "matchday"], "");
 
@@ -187,8 +547,14 @@ function rowToUnified(row, seasonLabel) {
     season: seasonLabel,
     round: round ? String(round) : "",
     location,
-    home: home || "TBD",
-    away: away || "TBD",
+    home: home.name,
+    away: away.name,
+    homeId: home.id,
+    awayId: away.id,
+    homeShort: home.short,
+    awayShort: away.short,
+    homeRaw: homeRaw || null,
+    awayRaw: awayRaw || null,
     kickoffISO: dt ? dt.toISOString() : null,
     kickoffLocal: formatKickoffLocal(dt),
     hg,
@@ -196,15 +562,303 @@ function rowToUnified(row, seasonLabel) {
   };
 }
 
-async function loadAllSeasonsUnified() {
+// same identity /api/value has always exposed as fixtureId
+function fixtureIdOf(m) {
+  return (m.kickoffISO || "") + "|" + m.home + "|" + m.away;
+}
+
+async function loadAllSeasonsUnified(competitionId = DEFAULT_COMPETITION) {
+  const comp = getCompetition(competitionId);
+  if (!comp) throw new Error(`unknown competition "${competitionId}"`);
   const all = [];
-  for (const s of SEASON_FEEDS) {
+  for (const s of comp.seasons) {
     const rows = await loadFeed(s.url);
-    for (const r of rows) all.push(rowToUnified(r, s.season));
+    for (const r of rows) {
+      const m = { ...rowToUnified(r, s.season), competition: comp.id };
+      if (!resolveTeam(m.homeRaw).known) noteUnknownTeam(s.url, m.homeRaw);
+      if (!resolveTeam(m.awayRaw).known) noteUnknownTeam(s.url, m.awayRaw);
+      all.push(m);
+    }
   }
   return all;
 }
 
+// ------------------- ODDS STORE (REAL PRICES) -------------------
+// Records are keyed by fixtureId ("kickoffISO|home|away") and bookmaker:
+// { fixtureId, bookmaker, ts, oneXtwo: {H,D,A}, ou25: {over,under}, ou35: {over,under} }
+// plus optional exchange lay prices in the same shape: oneXtwoLay, ou25Lay, ou35Lay.
+// byFixture holds the latest price per bookmaker; history keeps every timestamped snapshot
+// (oldest first) so prices can be replayed as of any moment, e.g. the close at kickoff.
+let oddsCache = { sig: null, byFixture: new Map(), history: new Map(), files: [], records: 0 };
+
+function toOdds(v) {
+  if (v == null || v === "") return null;
+  const x = Number(v);
+  return Number.isFinite(x) && x > 1 ? x : null;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", inQuotes = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (inQuotes) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(x => x.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(x => x.trim() !== "")) rows.push(row);
+
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map(r => {
+    const o = {};
+    header.forEach((h, i) => { o[h] = r[i] != null ? r[i].trim() : ""; });
+    return o;
+  });
+}
+
+function normalizeFixtureId(fixtureId) {
+  const parts = String(fixtureId).split("|");
+  if (parts.length !== 3) return null;
+  const dt = parseDateFlexible(parts[0].trim());
+  if (!dt || !parts[1].trim() || !parts[2].trim()) return null;
+  return `${dt.toISOString()}|${resolveTeam(parts[1]).name}|${resolveTeam(parts[2]).name}`;
+}
+
+// accepts flat rows (CSV columns / JSON keys) or the nested shape we persist;
+// rows without a timestamp are stamped ingestedAt (upload time, or the odds file's mtime)
+function oddsRowToRecord(row, ingestedAt) {
+  if (!row || typeof row !== "object") return { error: "row is not an object" };
+
+  let fixtureId = pick(row, ["fixtureId", "FixtureId", "fixture_id", "fixture"], null);
+  if (fixtureId) {
+    fixtureId = normalizeFixtureId(fixtureId);
+    if (!fixtureId) return { error: "fixtureId must be kickoffISO|home|away" };
+  } else {
+    const home = pick(row, ["home", "Home", "HomeTeam", "Home Team"]);
+    const away = pick(row, ["away", "Away", "AwayTeam", "Away Team"]);
+    const dt = parseDateFlexible(pick(row, ["kickoffISO", "kickoff", "Kickoff", "DateUtc", "Date", "date"], null));
+    if (!home || !away || !dt) return { error: "need fixtureId or kickoff + home + away" };
+    fixtureId = `${dt.toISOString()}|${resolveTeam(home).name}|${resolveTeam(away).name}`;
+  }
+
+  const bookmaker = String(pick(row, ["bookmaker", "Bookmaker", "book", "exchange"], "unknown")).trim();
+  const tsRaw = pick(row, ["ts", "timestamp", "updated", "capturedAt"], null);
+  const tsDate = tsRaw != null ? parseDateFlexible(typeof tsRaw === "number" ? new Date(tsRaw).toISOString() : tsRaw) : null;
+
+  const x12 = row["1x2"] || row.oneXtwo || {};
+  const o25 = row.ou25 || {};
+  const o35 = row.ou35 || {};
+
+  const oneXtwo = {
+    H: toOdds(pick(x12, ["H", "home"], null) ?? pick(row, ["H", "odds_H", "odds_home", "home_odds"], null)),
+    D: toOdds(pick(x12, ["D", "draw"], null) ?? pick(row, ["D", "odds_D", "odds_draw", "draw_odds"], null)),
+    A: toOdds(pick(x12, ["A", "away"], null) ?? pick(row, ["A", "odds_A", "odds_away", "away_odds"], null))
+  };
+  const ou25 = {
+    over: toOdds(pick(o25, ["over"], null) ?? pick(row, ["over25", "over_2_5", "o25"], null)),
+    under: toOdds(pick(o25, ["under"], null) ?? pick(row, ["under25", "under_2_5", "u25"], null))
+  };
+  const ou35 = {
+    over: toOdds(pick(o35, ["over"], null) ?? pick(row, ["over35", "over_3_5", "o35"], null)),
+    under: toOdds(pick(o35, ["under"], null) ?? pick(row, ["under35", "under_3_5", "u35"], null))
+  };
+
+  const lay = row.lay && typeof row.lay === "object" ? row.lay : {};
+  const l12 = row.oneXtwoLay || lay["1x2"] || lay.oneXtwo || {};
+  const l25 = row.ou25Lay || lay.ou25 || {};
+  const l35 = row.ou35Lay || lay.ou35 || {};
+  const oneXtwoLay = {
+    H: toOdds(pick(l12, ["H", "home"], null) ?? pick(row, ["lay_H", "lay_home"], null)),
+    D: toOdds(pick(l12, ["D", "draw"], null) ?? pick(row, ["lay_D", "lay_draw"], null)),
+    A: toOdds(pick(l12, ["A", "away"], null) ?? pick(row, ["lay_A", "lay_away"], null))
+  };
+  const ou25Lay = {
+    over: toOdds(pick(l25, ["over"], null) ?? pick(row, ["lay_over25", "lay_over_2_5"], null)),
+    under: toOdds(pick(l25, ["under"], null) ?? pick(row, ["lay_under25", "lay_under_2_5"], null))
+  };
+  const ou35Lay = {
+    over: toOdds(pick(l35, ["over"], null) ?? pick(row, ["lay_over35", "lay_over_3_5"], null)),
+    under: toOdds(pick(l35, ["under"], null) ?? pick(row, ["lay_under35", "lay_under_3_5"], null))
+  };
+
+  const has = (o) => Object.values(o).some(v => v != null);
+  if (![oneXtwo, ou25, ou35, oneXtwoLay, ou25Lay, ou35Lay].some(has)) return { error: "no valid prices (decimal odds > 1)" };
+
+  return {
+    record: {
+      fixtureId,
+      bookmaker,
+      ts: (tsDate || ingestedAt).toISOString(),
+      oneXtwo: has(oneXtwo) ? oneXtwo : null,
+      ou25: has(ou25) ? ou25 : null,
+      ou35: has(ou35) ? ou35 : null,
+      oneXtwoLay: has(oneXtwoLay) ? oneXtwoLay : null,
+      ou25Lay: has(ou25Lay) ? ou25Lay : null,
+      ou35Lay: has(ou35Lay) ? ou35Lay : null
+    }
+  };
+}
+
+function parseOddsPayload(body, isCsv) {
+  if (isCsv) return parseCsv(body);
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.odds)) return body.odds;
+  if (body && typeof body === "object") return [body];
+  return [];
+}
+
+// newer records overwrite per market, so a later OU-only file doesn't wipe 1x2
+function addOddsRecord(byFixture, rec) {
+  if (!byFixture.has(rec.fixtureId)) byFixture.set(rec.fixtureId, new Map());
+  const books = byFixture.get(rec.fixtureId);
+  const prev = books.get(rec.bookmaker);
+  if (!prev) { books.set(rec.bookmaker, { ...rec }); return; }
+
+  const newer = rec.ts >= prev.ts;
+  const merged = { ...prev, ts: newer ? rec.ts : prev.ts };
+  for (const k of ["oneXtwo", "ou25", "ou35", "oneXtwoLay", "ou25Lay", "ou35Lay"]) {
+    if (rec[k] && (newer || !prev[k])) merged[k] = rec[k];
+  }
+  books.set(rec.bookmaker, merged);
+}
+
+async function loadOddsStore() {
+  let names = [];
+  try {
+    names = (await fs.promises.readdir(ODDS_DIR)).filter(f => /\.(csv|json)$/i.test(f)).sort();
+  } catch (e) {
+    names = [];
+  }
+
+  const stats = [];
+  const mtimes = new Map();
+  for (const f of names) {
+    const st = await fs.promises.stat(path.join(ODDS_DIR, f));
+    stats.push(`${f}:${st.mtimeMs}:${st.size}`);
+    mtimes.set(f, new Date(st.mtimeMs));
+  }
+  const sig = stats.join(";");
+  if (oddsCache.sig === sig) return oddsCache;
+
+  const byFixture = new Map();
+  const history = new Map();
+  const files = [];
+  let records = 0;
+
+  for (const f of names) {
+    const info = { file: f, records: 0, rejected: 0, error: null };
+    try {
+      const text = await fs.promises.readFile(path.join(ODDS_DIR, f), "utf8");
+      const isCsv = /\.csv$/i.test(f);
+      const rows = parseOddsPayload(isCsv ? text : JSON.parse(text), isCsv);
+      for (const row of rows) {
+        const { record } = oddsRowToRecord(row, mtimes.get(f));
+        if (!record) { info.rejected++; continue; }
+        addOddsRecord(byFixture, record);
+        if (!history.has(record.fixtureId)) history.set(record.fixtureId, []);
+        history.get(record.fixtureId).push(record);
+        info.records++;
+      }
+    } catch (e) {
+      info.error = e?.message || String(e);
+    }
+    records += info.records;
+    files.push(info);
+  }
+
+  for (const snaps of history.values()) snaps.sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+
+  oddsCache = { sig, byFixture, history, files, records };
+  notifyDataRefresh("odds", ODDS_DIR);
+  return oddsCache;
+}
+
+// Best price per selection across bookmakers (or one bookmaker if given): highest back, lowest lay.
+// A market only counts as "market" priced when every selection we bet on has a (back) price.
+function marketOddsFor(store, fixtureId, bookmaker = null) {
+  return bestOdds(store?.byFixture.get(fixtureId), bookmaker);
+}
+
+// same view built only from snapshots taken at or before `iso`
+function oddsAsOf(store, fixtureId, iso, bookmaker = null) {
+  const snaps = store?.history.get(fixtureId);
+  if (!snaps) return null;
+  const byFixture = new Map();
+  for (const rec of snaps) {
+    if (rec.ts > iso) break;
+    addOddsRecord(byFixture, rec);
+  }
+  return bestOdds(byFixture.get(fixtureId), bookmaker);
+}
+
+// closing line: the last price each bookmaker showed before kickoff (null while the market is still open)
+function closingOddsFor(store, fixtureId, bookmaker = null, now = Date.now()) {
+  const kickoffISO = String(fixtureId).split("|")[0];
+  if (!(Date.parse(kickoffISO) <= now)) return null;
+  return oddsAsOf(store, fixtureId, kickoffISO, bookmaker);
+}
+
+function bestOdds(books, bookmaker = null) {
+  if (!books) return null;
+
+  const empty = (sels) => Object.fromEntries(sels.map(k => [k, null]));
+  const block = (sels) => ({ odds: empty(sels), bookmakers: empty(sels), lay: empty(sels), layBookmakers: empty(sels) });
+  const out = { "1x2": block(["H", "D", "A"]), ou25: block(["over", "under"]), ou35: block(["over", "under"]) };
+  const take = (mk, sel, price, book) => {
+    if (price != null && (out[mk].odds[sel] == null || price > out[mk].odds[sel])) {
+      out[mk].odds[sel] = price;
+      out[mk].bookmakers[sel] = book;
+    }
+  };
+  const takeLay = (mk, sel, price, book) => {
+    if (price != null && (out[mk].lay[sel] == null || price < out[mk].lay[sel])) {
+      out[mk].lay[sel] = price;
+      out[mk].layBookmakers[sel] = book;
+    }
+  };
+
+  for (const [book, rec] of books) {
+    if (bookmaker && book !== bookmaker) continue;
+    for (const sel of ["H", "D", "A"]) {
+      take("1x2", sel, rec.oneXtwo?.[sel], book);
+      takeLay("1x2", sel, rec.oneXtwoLay?.[sel], book);
+    }
+    for (const sel of ["over", "under"]) {
+      take("ou25", sel, rec.ou25?.[sel], book);
+      take("ou35", sel, rec.ou35?.[sel], book);
+      takeLay("ou25", sel, rec.ou25Lay?.[sel], book);
+      takeLay("ou35", sel, rec.ou35Lay?.[sel], book);
+    }
+  }
+
+  out["1x2"].complete = ["H", "D", "A"].every(k => out["1x2"].odds[k] != null);
+  out.ou25.complete = out.ou25.odds.over != null;
+  out.ou35.complete = out.ou35.odds.over != null;
+  const anyLay = Object.values(out).some(b => Object.values(b.lay).some(x => x != null));
+  if (!out["1x2"].complete && !out.ou25.complete && !out.ou35.complete && !anyLay) return null;
+  return out;
+}
+
+function summarizeOddsSources(sources) {
+  const vals = Object.values(sources);
+  if (vals.every(v => v === "market")) return "market";
+  if (vals.some(v => v === "market")) return "mixed";
+  return vals[0];
+}
+
 // ------------------- SEASON HELPERS -------------------
 function seasonCountsWithResults(all) {
   const counts = {};
@@ -279,15 +933,15 @@ function summarizeSeason(matches) {
 }
 
 // ------------------- xG-STYLE SCORE SHRINK -------------------
-function shrinkGoals(hg, ag, leagueAvgGoals) {
+function shrinkGoals(hg, ag, leagueAvgGoals, { goalCap = GOAL_CAP, shrinkAlpha = SHRINK_ALPHA } = {}) {
   const muTeam = (leagueAvgGoals || 2.8) / 2;
-  const cap = (g) => clamp(g, 0, GOAL_CAP);
+  const cap = (g) => clamp(g, 0, goalCap);
 
   const hgC = cap(hg);
   const agC = cap(ag);
 
-  const hgAdj = (1 - SHRINK_ALPHA) * hgC + SHRINK_ALPHA * muTeam;
-  const agAdj = (1 - SHRINK_ALPHA) * agC + SHRINK_ALPHA * muTeam;
+  const hgAdj = (1 - shrinkAlpha) * hgC + shrinkAlpha * muTeam;
+  const agAdj = (1 - shrinkAlpha) * agC + shrinkAlpha * muTeam;
 
   return { hgAdj, agAdj };
 }
@@ -342,6 +996,102 @@ function loglossBinary(ps, ys) {
   return s / ps.length;
 }
 
+// ------------------- CALIBRATION (ISOTONIC + MULTINOMIAL 1X2) -------------------
+// Isotonic: pool-adjacent-violators on (raw p, outcome), applied by linear interpolation between
+// block means. Multinomial 1X2 calibrators work on log-probabilities z = log p:
+//   temperature: q_k ∝ exp(s * z_k)            (one scale)
+//   vector:      q_k ∝ exp(w_k * z_k + b_k)    (b_H fixed at 0)
+//   draw:        q_D ∝ p_D * exp(d), H/A as is (draw inflation)
+const ISOTONIC_P_MIN = 1e-3;
+const ONE_X_TWO_KEYS = ["H", "D", "A"];
+
+function fitIsotonic(rawPs, ys) {
+  const pts = rawPs.map((p, i) => ({ p, y: ys[i] })).sort((a, b) => a.p - b.p);
+  const blocks = [];
+  for (const pt of pts) {
+    blocks.push({ pSum: pt.p, ySum: pt.y, n: 1 });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+      if (a.ySum / a.n < b.ySum / b.n) break;
+      blocks.splice(-2, 2, { pSum: a.pSum + b.pSum, ySum: a.ySum + b.ySum, n: a.n + b.n });
+    }
+  }
+  return {
+    type: "isotonic",
+    x: blocks.map(b => b.pSum / b.n),
+    y: blocks.map(b => clamp(b.ySum / b.n, ISOTONIC_P_MIN, 1 - ISOTONIC_P_MIN))
+  };
+}
+
+function applyIsotonic(pRaw, cal) {
+  const { x, y } = cal;
+  if (pRaw <= x[0]) return y[0];
+  if (pRaw >= x[x.length - 1]) return y[y.length - 1];
+  let i = 1;
+  while (x[i] < pRaw) i++;
+  const t = (pRaw - x[i - 1]) / (x[i] - x[i - 1] || 1);
+  return y[i - 1] + t * (y[i] - y[i - 1]);
+}
+
+// binary calibrator: Platt ({ a, b }) or isotonic ({ type: "isotonic", x, y })
+function applyBinaryCalibration(pRaw, cal) {
+  if (!cal) return pRaw;
+  return cal.type === "isotonic" ? applyIsotonic(pRaw, cal) : applyPlatt(pRaw, cal);
+}
+
+function softmaxLogits(u) {
+  const mx = Math.max(...u);
+  const e = u.map(v => Math.exp(v - mx));
+  const s = e[0] + e[1] + e[2];
+  return e.map(v => v / s);
+}
+
+function applyOneXtwoCalibration(p, cal) {
+  if (!cal) return p;
+  const z = ONE_X_TWO_KEYS.map(k => Math.log(clamp(p[k], 1e-12, 1)));
+  let u;
+  if (cal.type === "temperature") u = z.map(v => cal.s * v);
+  else if (cal.type === "vector") u = z.map((v, k) => cal.w[k] * v + cal.b[k]);
+  else if (cal.type === "draw") u = [z[0], z[1] + cal.d, z[2]];
+  else return p;
+  const q = softmaxLogits(u);
+  return { H: q[0], D: q[1], A: q[2] };
+}
+
+// mean multinomial logloss; ys are "H" | "D" | "A"
+function loglossOneXtwo(ps, ys) {
+  let s = 0;
+  for (let i = 0; i < ps.length; i++) s += -Math.log(clamp(ps[i][ys[i]], 1e-12, 1));
+  return s / ps.length;
+}
+
+function fitOneXtwoCalibration(rawPs, ys, type, { iters = 300, lr = 0.05, l2 = 5e-3 } = {}) {
+  const ll = cal => -loglossOneXtwo(rawPs.map(p => applyOneXtwoCalibration(p, cal)), ys);
+  if (type === "temperature") return { type, s: goldenMax(s => ll({ type, s }), 0.3, 3) };
+  if (type === "draw") return { type, d: goldenMax(d => ll({ type, d }), -1, 1) };
+
+  // vector scaling: gradient descent on the multinomial logloss, L2 towards identity
+  const w = [1, 1, 1], b = [0, 0, 0];
+  const zs = rawPs.map(p => ONE_X_TWO_KEYS.map(k => Math.log(clamp(p[k], 1e-12, 1))));
+  for (let it = 0; it < iters; it++) {
+    const gw = [0, 0, 0], gb = [0, 0, 0];
+    for (let i = 0; i < zs.length; i++) {
+      const z = zs[i];
+      const q = softmaxLogits(z.map((v, k) => w[k] * v + b[k]));
+      for (let k = 0; k < 3; k++) {
+        const dz = q[k] - (ONE_X_TWO_KEYS[k] === ys[i] ? 1 : 0);
+        gw[k] += dz * z[k];
+        gb[k] += dz;
+      }
+    }
+    for (let k = 0; k < 3; k++) {
+      w[k] = clamp(w[k] - lr * (gw[k] / zs.length + l2 * (w[k] - 1)), 0.2, 5);
+      if (k > 0) b[k] = clamp(b[k] - lr * (gb[k] / zs.length + l2 * b[k]), -3, 3);
+    }
+  }
+  return { type, w, b };
+}
+
 // ------------------- BASELINES + METRICS -------------------
 function baselineProbsFromSeasonStats(seasonStats) {
   const homeWin = seasonStats?.oneXtwo?.homeWin ?? 0.40;
@@ -375,11 +1125,22 @@ function loglossBinaryP(p, y) {
 }
 
 // ------------------- FIXED-ODDS ROI SIM -------------------
+const FIXED_ODDS_MARGIN = 0.05; // every fixed price below is a 5% book
+
+// AH and alternative totals lines are priced per line by fixedLineOdds (no flat price fits every line)
 function fixedOddsPack() {
   return {
     oneXtwo: { H: 2.55, D: 3.40, A: 2.75 },
     ou25_over: 1.90,
-    ou35_over: 2.40
+    ou25_under: 1.91, // with the over: a 5% book, like the 1X2 and BTTS prices
+    ou35_over: 2.40,
+    ou35_under: 1.58,
+    btts: { yes: 1.85, no: 1.95 },
+    correctScore: {
+      "0-0": 9.0, "1-0": 7.0, "0-1": 8.5, "1-1": 6.5, "2-0": 9.5, "0-2": 13.0,
+      "2-1": 9.0, "1-2": 11.0, "2-2": 15.0, "3-0": 17.0, "0-3": 26.0, "3-1": 17.0,
+      "1-3": 23.0, "3-2": 26.0, "2-3": 34.0, "3-3": 51.0
+    }
   };
 }
 
@@ -388,8 +1149,108 @@ function profit1uBinary(win, odds) {
   return win ? (odds - 1) * (1 - COMMISSION) : -1;
 }
 
+// Exchange lay, per unit of the backer's stake: a won lay (selection lost) keeps the stake net of
+// commission, a lost lay pays the liability (odds - 1).
+function layProfit1uBinary(win, odds) {
+  if (odds == null) return 0;
+  return win ? 1 - COMMISSION : -(odds - 1);
+}
+
+// EV per unit stake; p is the model probability of the selection in both cases
+function backEvOf(p, odds) {
+  return p * (odds - 1) * (1 - COMMISSION) - (1 - p);
+}
+function layEvOf(p, odds) {
+  return (1 - p) * (1 - COMMISSION) - p * (odds - 1);
+}
+
+const BET_SIDES = ["back", "lay", "both"];
+
+function spreadLayOdds(back, spread = LAY_SPREAD) {
+  return back == null ? null : 1 + (back - 1) * (1 + spread);
+}
+
+// placed bets ({ side, odds, win }): profit and amount at risk per unit stake
+function betProfit1u(bet) {
+  return bet.side === "lay" ? layProfit1uBinary(bet.win, bet.odds) : profit1uBinary(bet.win, bet.odds);
+}
+function betLiability1u(bet) {
+  return bet.side === "lay" ? bet.odds - 1 : 1;
+}
+
+// ------------------- LINE SETTLEMENT (AH + TOTALS, QUARTER LINES) -------------------
+// Settlement is expressed per unit stake: 1 win, 0.5 half-win, 0 push, -0.5 half-loss, -1 loss.
+// Quarter lines (x.25 / x.75) split the stake across the two neighbouring lines.
+function splitLine(line) {
+  const q = Math.round(line * 4);
+  return q % 2 !== 0 ? [line - 0.25, line + 0.25] : [line];
+}
+
+function settleParts(adjs) {
+  const s = adjs.map(a => (a > 0 ? 1 : a < 0 ? -1 : 0));
+  return s.reduce((a, b) => a + b, 0) / s.length;
+}
+
+// line is the HOME handicap (e.g. -0.75 = home gives 0.75); away side takes the mirror
+function settleAH(diff, line, side) {
+  return settleParts(splitLine(line).map(l => (side === "home" ? diff + l : -(diff + l))));
+}
+
+function settleTotal(total, line, side) {
+  return settleParts(splitLine(line).map(l => (side === "over" ? total - l : l - total)));
+}
+
+function profit1uLine(settle, odds) {
+  if (odds == null) return 0;
+  return settle > 0 ? settle * (odds - 1) * (1 - COMMISSION) : settle;
+}
+
+// league-average scoreline grid (mean home / away goals of the played matches)
+function baseRateGrid(matches) {
+  const played = matches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+  const muH = played.length ? played.reduce((a, m) => a + m.hg, 0) / played.length : 1.45;
+  const muA = played.length ? played.reduce((a, m) => a + m.ag, 0) / played.length : 1.30;
+  return normalizeGrid(scoreMatrix(muH, muA));
+}
+
+// fixed price per AH / totals line: both sides of a two-way book on the base-rate grid, pushes set aside
+// and the margin spread like FIXED_ODDS_MARGIN; OU2.5 / OU3.5 keep the pack prices the core sim uses
+function fixedLineOdds(baseGrid, { ahLines = [], ouLines = [], odds = fixedOddsPack(), margin = FIXED_ODDS_MARGIN } = {}) {
+  const book = (a, b) => {
+    const up = a.win + a.halfWin / 2;
+    const down = b.win + b.halfWin / 2;
+    const p = up + down > 0 ? up / (up + down) : 0.5;
+    return [synthOddsBinary(p, margin), synthOddsBinary(1 - p, margin)];
+  };
+
+  const ah = {};
+  for (const line of ahLines) {
+    const [home, away] = book(
+      settleDist(baseGrid, (hg, ag) => settleAH(hg - ag, line, "home")),
+      settleDist(baseGrid, (hg, ag) => settleAH(hg - ag, line, "away")));
+    ah[line] = { home, away };
+  }
+
+  const totals = {};
+  for (const line of ouLines) {
+    if (line === 2.5 || line === 3.5) {
+      const mk = line === 2.5 ? "ou25" : "ou35";
+      totals[line] = { over: odds[`${mk}_over`], under: odds[`${mk}_under`] };
+      continue;
+    }
+    const [over, under] = book(
+      settleDist(baseGrid, (hg, ag) => settleTotal(hg + ag, line, "over")),
+      settleDist(baseGrid, (hg, ag) => settleTotal(hg + ag, line, "under")));
+    totals[line] = { over, under };
+  }
+  return { ah, totals };
+}
+
 // ------------------- MODEL (HOME/AWAY SPLIT) -------------------
-function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGamesPerTeam = MIN_GAMES_PER_TEAM } = {}) {
+function buildModelFromMatches(matches, {
+  halfLifeDays = HALF_LIFE_DAYS, minGamesPerTeam = MIN_GAMES_PER_TEAM,
+  goalCap = GOAL_CAP, shrinkAlpha = SHRINK_ALPHA, haL2 = HA_L2, haL2Ha = HA_L2_HA, asOf = null
+} = {}) {
   const played = matches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
   const teamsSet = new Set();
   for (const m of played) { teamsSet.add(m.home); teamsSet.add(m.away); }
@@ -408,7 +1269,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
 
   // xG-style adjusted goals used for fitting
   const playedAdj = played.map(m => {
-    const { hgAdj, agAdj } = shrinkGoals(m.hg, m.ag, leagueAvgGoals);
+    const { hgAdj, agAdj } = shrinkGoals(m.hg, m.ag, leagueAvgGoals, { goalCap, shrinkAlpha });
     return { ...m, hgAdj, agAdj };
   });
 
@@ -420,6 +1281,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
   let attA = new Array(n).fill(0);
   let defA = new Array(n).fill(0);
   let ha = 0.12;
+  let rho = 0;
 
   const gamesHome = new Array(n).fill(0);
   const gamesAway = new Array(n).fill(0);
@@ -432,7 +1294,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
     gamesTotal[iH]++; gamesTotal[iA]++;
   }
 
-  const now = Date.now();
+  const now = asOf ?? Date.now(); // time decay is measured back from here
   const lam = Math.log(2) / (halfLifeDays * 24 * 3600 * 1000);
 
   const iters = 260;
@@ -444,6 +1306,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
     const gAttA = new Array(n).fill(0);
     const gDefA = new Array(n).fill(0);
     let gHa = 0;
+    let gRho = 0, wSum = 0;
 
     for (const m of playedAdj) {
       const iH = idx.get(m.home);
@@ -465,16 +1328,20 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
 
       gAttA[iA] += eA;
       gDefH[iH] += eA;
+
+      // rho uses the raw scoreline: tau only touches integer low scores
+      gRho += w * dcTauGrad(m.hg, m.ag, muH, muA, rho);
+      wSum += w;
     }
 
     // L2 regularization to prevent overfit
     for (let i = 0; i < n; i++) {
-      gAttH[i] -= HA_L2 * attH[i];
-      gDefH[i] -= HA_L2 * defH[i];
-      gAttA[i] -= HA_L2 * attA[i];
-      gDefA[i] -= HA_L2 * defA[i];
+      gAttH[i] -= haL2 * attH[i];
+      gDefH[i] -= haL2 * defH[i];
+      gAttA[i] -= haL2 * attA[i];
+      gDefA[i] -= haL2 * defA[i];
     }
-    gHa -= HA_L2_HA * ha;
+    gHa -= haL2Ha * ha;
 
     for (let i = 0; i < n; i++) {
       attH[i] += lr * gAttH[i];
@@ -483,6 +1350,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
       defA[i] += lr * gDefA[i];
     }
     ha += lr * gHa;
+    if (wSum > 0) rho += DC_RHO_LR * (gRho / wSum);
 
     // identifiability: zero-mean each group
     const mean = (arr) => arr.reduce((a, b) => a + b, 0) / n;
@@ -494,6 +1362,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
 
     // clamp
     ha = clamp(ha, -0.25, 0.50);
+    rho = clamp(rho, DC_RHO_MIN, DC_RHO_MAX);
     for (let i = 0; i < n; i++) {
       attH[i] = clamp(attH[i], -1.4, 1.4);
       defH[i] = clamp(defH[i], -1.4, 1.4);
@@ -519,6 +1388,7 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
     teams, idx,
     attH, defH, attA, defA,
     ha,
+    rho,
     halfLifeDays,
     minGamesPerTeam,
     teamMeta,
@@ -527,38 +1397,204 @@ function buildModelFromMatches(matches, { halfLifeDays = HALF_LIFE_DAYS, minGame
   };
 }
 
-function matchProbs(model, home, away) {
-  if (!model || !model.idx.has(home) || !model.idx.has(away)) {
-    return {
-      muH: 1.45, muA: 1.30,
-      p1x2: { H: 0.40, D: 0.27, A: 0.33 },
-      pOver25_raw: 0.56, pOver35_raw: 0.33,
-      pOver25: 0.56, pOver35: 0.33,
-      okSample: false
-    };
-  }
+// ------------------- MODEL FAMILIES (REGISTRY) -------------------
+// Every family shares the contract:
+//   fit(matches, { halfLifeDays, minGamesPerTeam }) -> model (same shape as buildModelFromMatches + family, familyParams)
+//   scoreGrid(model, muH, muA) -> unnormalised 0..MAX_GOALS scoreline grid
+//   label(model) -> human readable description
+// muH/muA are always the marginal expected goals from the shared attack/defence fit.
+
+function modelMus(model, home, away) {
+  const iH = model?.idx.get(home);
+  const iA = model?.idx.get(away);
+  if (iH == null || iA == null) return null;
+  return {
+    muH: Math.exp(model.ha + model.attH[iH] + model.defA[iA]),
+    muA: Math.exp(model.attA[iA] + model.defH[iH])
+  };
+}
 
-  const iH = model.idx.get(home);
-  const iA = model.idx.get(away);
+function timeDecayWeight(kickoffISO, now, halfLifeDays) {
+  const lam = Math.log(2) / (halfLifeDays * 24 * 3600 * 1000);
+  return Math.exp(-lam * Math.max(0, now - new Date(kickoffISO).getTime()));
+}
 
-  const muH = Math.exp(model.ha + model.attH[iH] + model.defA[iA]);
-  const muA = Math.exp(model.attA[iA] + model.defH[iH]);
+// 1-D maximiser for the single extra parameter each family adds
+function goldenMax(f, lo, hi, iters = 40) {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let a = lo, b = hi;
+  let c = b - g * (b - a), d = a + g * (b - a);
+  let fc = f(c), fd = f(d);
+  for (let i = 0; i < iters; i++) {
+    if (fc > fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = f(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = f(d); }
+  }
+  return (a + b) / 2;
+}
 
-  let pH = 0, pD = 0, pA = 0;
-  let pOver25 = 0, pOver35 = 0;
+// weighted log-likelihood of raw scores under a family-specific pmf
+function weightedScoreLL(model, played, pmf) {
+  const now = Date.now();
+  let ll = 0;
+  for (const m of played) {
+    const mus = modelMus(model, m.home, m.away);
+    if (!mus) continue;
+    const w = timeDecayWeight(m.kickoffISO, now, model.halfLifeDays);
+    ll += w * Math.log(Math.max(1e-300, pmf(m.hg, m.ag, mus.muH, mus.muA)));
+  }
+  return ll;
+}
 
-  for (let hg = 0; hg <= MAX_GOALS; hg++) {
-    const ph = poissonP(hg, muH);
-    for (let ag = 0; ag <= MAX_GOALS; ag++) {
-      const pa = poissonP(ag, muA);
-      const p = ph * pa;
+// Bivariate Poisson: X = Y1 + Y3, Y = Y2 + Y3 with shared Y3 ~ Poisson(cov)
+function bivPoisCov(cov, muH, muA) {
+  return Math.min(cov, 0.9 * Math.min(muH, muA));
+}
 
-      if (hg > ag) pH += p;
-      else if (hg === ag) pD += p;
-      else pA += p;
+function bivPoisP(x, y, muH, muA, cov) {
+  const l3 = bivPoisCov(cov, muH, muA);
+  const l1 = muH - l3, l2 = muA - l3;
+  let s = 0;
+  let term = 1; // C(x,k) C(y,k) k! (l3 / (l1 l2))^k
+  for (let k = 0; k <= Math.min(x, y); k++) {
+    if (k > 0) term *= ((x - k + 1) * (y - k + 1) / k) * (l3 / (l1 * l2));
+    s += term;
+  }
+  return poissonP(x, l1) * poissonP(y, l2) * Math.exp(-l3) * s;
+}
 
-      const tg = hg + ag;
-      if (tg >= 3) pOver25 += p;
+// Negative binomial with mean mu and size r (variance mu + mu^2 / r)
+function negBinP(k, mu, r) {
+  let p = Math.pow(r / (r + mu), r);
+  for (let i = 1; i <= k; i++) p *= ((i - 1 + r) / i) * (mu / (r + mu));
+  return p;
+}
+
+const MODEL_FAMILIES = {
+  poisson: {
+    label: (model) => `Poisson+TimeDecay+HA (HL ${model.halfLifeDays}d) + DC + xG-shrink + ${calibrationLabel(model)}`,
+    fit(matches, opts) {
+      const model = buildModelFromMatches(matches, opts);
+      if (model) { model.family = "poisson"; model.familyParams = { rho: model.rho }; }
+      return model;
+    },
+    scoreGrid: (model, muH, muA) => scoreMatrix(muH, muA, model.rho || 0)
+  },
+
+  bivpois: {
+    label: (model) => `BivariatePoisson(cov ${(model.familyParams?.cov ?? 0).toFixed(3)})+TimeDecay+HA (HL ${model.halfLifeDays}d) + xG-shrink + ${calibrationLabel(model)}`,
+    fit(matches, opts) {
+      const model = buildModelFromMatches(matches, opts);
+      if (!model) return null;
+      const played = matches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+      const cov = goldenMax(c => weightedScoreLL(model, played, (x, y, muH, muA) => bivPoisP(x, y, muH, muA, c)), 0, BIVPOIS_COV_MAX);
+      model.rho = 0; // dependence is carried by the shared component instead
+      model.family = "bivpois";
+      model.familyParams = { cov };
+      return model;
+    },
+    scoreGrid(model, muH, muA) {
+      const cov = model.familyParams?.cov || 0;
+      const grid = [];
+      for (let hg = 0; hg <= MAX_GOALS; hg++) {
+        const row = [];
+        for (let ag = 0; ag <= MAX_GOALS; ag++) row.push(bivPoisP(hg, ag, muH, muA, cov));
+        grid.push(row);
+      }
+      return grid;
+    }
+  },
+
+  negbin: {
+    label: (model) => `NegBin(r ${(model.familyParams?.size ?? 0).toFixed(1)})+TimeDecay+HA (HL ${model.halfLifeDays}d) + xG-shrink + ${calibrationLabel(model)}`,
+    fit(matches, opts) {
+      const model = buildModelFromMatches(matches, opts);
+      if (!model) return null;
+      const played = matches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+      // search log(size): large size collapses to Poisson
+      const logSize = goldenMax(
+        ls => weightedScoreLL(model, played, (x, y, muH, muA) => negBinP(x, muH, Math.exp(ls)) * negBinP(y, muA, Math.exp(ls))),
+        Math.log(NEGBIN_SIZE_MIN), Math.log(NEGBIN_SIZE_MAX)
+      );
+      model.rho = 0;
+      model.family = "negbin";
+      model.familyParams = { size: Math.exp(logSize) };
+      return model;
+    },
+    scoreGrid(model, muH, muA) {
+      const r = model.familyParams?.size || NEGBIN_SIZE_MAX;
+      const grid = [];
+      for (let hg = 0; hg <= MAX_GOALS; hg++) {
+        const ph = negBinP(hg, muH, r);
+        const row = [];
+        for (let ag = 0; ag <= MAX_GOALS; ag++) row.push(ph * negBinP(ag, muA, r));
+        grid.push(row);
+      }
+      return grid;
+    }
+  }
+};
+
+function resolveFamily(name) {
+  const family = String(name || DEFAULT_MODEL_FAMILY);
+  return Object.hasOwn(MODEL_FAMILIES, family) ? family : null;
+}
+
+function unknownFamilyError(name) {
+  return { error: `unknown model family "${name}"`, families: Object.keys(MODEL_FAMILIES) };
+}
+
+// models without calibrationMethod are the plain fit (Platt on totals)
+function calibrationLabel(model) {
+  const method = model.calibrationMethod || "platt";
+  if (method === "platt") return "Platt(guarded)";
+  if (method === "none") return "uncalibrated";
+  return `Calibration[${method}](guarded)`;
+}
+
+function modelLabel(model) {
+  if (!model) return "neutral";
+  return MODEL_FAMILIES[model.family || DEFAULT_MODEL_FAMILY].label(model);
+}
+
+function modelScoreMatrix(model, muH, muA) {
+  return MODEL_FAMILIES[model.family || DEFAULT_MODEL_FAMILY].scoreGrid(model, muH, muA);
+}
+
+function normalizeGrid(grid) {
+  let s = 0;
+  for (const row of grid) for (const p of row) s += p;
+  return s > 0 ? grid.map(row => row.map(p => p / s)) : grid;
+}
+
+function matchProbs(model, home, away) {
+  if (!model || !model.idx.has(home) || !model.idx.has(away)) {
+    return {
+      muH: 1.45, muA: 1.30,
+      p1x2: { H: 0.40, D: 0.27, A: 0.33 },
+      p1x2_raw: { H: 0.40, D: 0.27, A: 0.33 },
+      pOver25_raw: 0.56, pOver35_raw: 0.33,
+      pOver25: 0.56, pOver35: 0.33,
+      grid: normalizeGrid(scoreMatrix(1.45, 1.30)),
+      okSample: false
+    };
+  }
+
+  const { muH, muA } = modelMus(model, home, away);
+
+  let pH = 0, pD = 0, pA = 0;
+  let pOver25 = 0, pOver35 = 0;
+
+  const grid = modelScoreMatrix(model, muH, muA);
+  for (let hg = 0; hg <= MAX_GOALS; hg++) {
+    for (let ag = 0; ag <= MAX_GOALS; ag++) {
+      const p = grid[hg][ag];
+
+      if (hg > ag) pH += p;
+      else if (hg === ag) pD += p;
+      else pA += p;
+
+      const tg = hg + ag;
+      if (tg >= 3) pOver25 += p;
       if (tg >= 4) pOver35 += p;
     }
   }
@@ -576,190 +1612,4260 @@ function matchProbs(model, home, away) {
   const pOver25_raw = pOver25;
   const pOver35_raw = pOver35;
 
-  const pOver25_cal = model.calibration?.ou25 ? applyPlatt(pOver25_raw, model.calibration.ou25) : pOver25_raw;
-  const pOver35_cal = model.calibration?.ou35 ? applyPlatt(pOver35_raw, model.calibration.ou35) : pOver35_raw;
+  const pOver25_cal = applyBinaryCalibration(pOver25_raw, model.calibration?.ou25);
+  const pOver35_cal = applyBinaryCalibration(pOver35_raw, model.calibration?.ou35);
+  const p1x2_raw = { H: pH, D: pD, A: pA };
 
   return {
     muH, muA,
-    p1x2: { H: pH, D: pD, A: pA },
+    p1x2: applyOneXtwoCalibration(p1x2_raw, model.calibration?.oneXtwo),
+    p1x2_raw,
     pOver25_raw, pOver35_raw,
     pOver25: pOver25_cal,
     pOver35: pOver35_cal,
+    grid: normalizeGrid(grid),
     okSample
   };
 }
 
-// ------------------- PLATT FIT ON A MODEL + DATA (GUARDED) -------------------
-function fitTotalsCalibrationForModel(model, trainMatchesPlayed) {
-  if (!model) return null;
-  const raw25 = [], y25 = [];
-  const raw35 = [], y35 = [];
+// ------------------- EXTRA MARKETS (FROM THE SCORELINE GRID) -------------------
+const DEFAULT_AH_LINES = Array.from({ length: 21 }, (_, i) => -2.5 + i * 0.25);
+const DEFAULT_OU_LINES = Array.from({ length: 11 }, (_, i) => 0.5 + i * 0.5);
+const DEFAULT_CS_TOP = 10;
+
+// "0.5,1.5,2.25" -> [0.5, 1.5, 2.25]; lines must sit on the quarter grid; null when one is not a number
+function parseLines(raw, defaults, lo, hi) {
+  if (raw == null || raw === "") return defaults;
+  const xs = String(raw).split(",").map(x => Number(x.trim()));
+  if (!xs.every(Number.isFinite)) return null;
+  const out = xs.filter(x => x >= lo && x <= hi && Number.isInteger(x * 4));
+  return [...new Set(out)].sort((a, b) => a - b);
+}
 
-  for (const m of trainMatchesPlayed) {
-    const iH = model.idx.get(m.home);
-    const iA = model.idx.get(m.away);
-    if (iH == null || iA == null) continue;
+// probability of each settlement outcome for one selection
+function settleDist(grid, settleFn) {
+  const d = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+  for (let hg = 0; hg <= MAX_GOALS; hg++) {
+    for (let ag = 0; ag <= MAX_GOALS; ag++) {
+      const p = grid[hg][ag];
+      const r = settleFn(hg, ag);
+      if (r === 1) d.win += p;
+      else if (r === 0.5) d.halfWin += p;
+      else if (r === 0) d.push += p;
+      else if (r === -0.5) d.halfLoss += p;
+      else d.loss += p;
+    }
+  }
+  return d;
+}
+
+// odds at which the selection breaks even (pushes returned, halves at half stake)
+function fairOddsFromDist(d) {
+  const up = d.win + d.halfWin / 2;
+  const down = d.loss + d.halfLoss / 2;
+  return up > 0 ? 1 + down / up : null;
+}
+
+function evLine(d, odds) {
+  if (odds == null) return null;
+  return d.win * profit1uLine(1, odds) + d.halfWin * profit1uLine(0.5, odds) - d.halfLoss * 0.5 - d.loss;
+}
+
+function pricedDist(d) {
+  return { ...d, fairOdds: fairOddsFromDist(d) };
+}
+
+function bttsFromGrid(grid) {
+  let yes = 0;
+  for (let hg = 1; hg <= MAX_GOALS; hg++) {
+    for (let ag = 1; ag <= MAX_GOALS; ag++) yes += grid[hg][ag];
+  }
+  const no = 1 - yes;
+  return { yes, no, fairOdds: { yes: yes > 0 ? 1 / yes : null, no: no > 0 ? 1 / no : null } };
+}
+
+function correctScoreFromGrid(grid, topN = DEFAULT_CS_TOP) {
+  const cells = [];
+  for (let hg = 0; hg <= MAX_GOALS; hg++) {
+    for (let ag = 0; ag <= MAX_GOALS; ag++) cells.push({ score: `${hg}-${ag}`, p: grid[hg][ag] });
+  }
+  cells.sort((a, b) => b.p - a.p);
+  const top = cells.slice(0, topN).map(c => ({ ...c, fairOdds: c.p > 0 ? 1 / c.p : null }));
+  const other = Math.max(0, 1 - top.reduce((a, c) => a + c.p, 0));
+  return { top, other: { p: other, fairOdds: other > 0 ? 1 / other : null } };
+}
+
+function asianHandicapFromGrid(grid, lines = DEFAULT_AH_LINES) {
+  return lines.map(line => ({
+    line,
+    home: pricedDist(settleDist(grid, (hg, ag) => settleAH(hg - ag, line, "home"))),
+    away: pricedDist(settleDist(grid, (hg, ag) => settleAH(hg - ag, line, "away")))
+  }));
+}
+
+// OU2.5 / OU3.5 over probabilities carry the binary calibration (Platt/isotonic) when one is fitted
+function totalsFromGrid(grid, lines = DEFAULT_OU_LINES, probs = null) {
+  return lines.map(line => {
+    const over = settleDist(grid, (hg, ag) => settleTotal(hg + ag, line, "over"));
+    const under = settleDist(grid, (hg, ag) => settleTotal(hg + ag, line, "under"));
+    const calOver = line === 2.5 ? probs?.pOver25 : line === 3.5 ? probs?.pOver35 : null;
+    if (calOver != null) {
+      over.win = calOver; over.loss = 1 - calOver;
+      under.win = 1 - calOver; under.loss = calOver;
+    }
+    return { line, calibrated: calOver != null, over: pricedDist(over), under: pricedDist(under) };
+  });
+}
+
+// ------------------- EXTRA MARKETS BACKTEST (FIXED ODDS) -------------------
+const EXTRA_MARKETS = ["btts", "cs", "ah", "ou"];
+
+// Accumulates metrics + ROI for BTTS / correct score / AH lines / totals lines over a backtest.
+// Staking mirrors the core sim: per line, back the side with the higher EV if it clears minP/minEv.
+function createExtraMarketsEval({ markets, ahLines, ouLines, minEv, minP, odds, lineOdds }) {
+  const newRoi = () => ({ bets: 0, wins: 0, pushes: 0, profit: 0 });
+  const newAcc = () => ({ n: 0, brier: 0, logloss: 0, roi: newRoi() });
+
+  const acc = {};
+  if (markets.includes("btts")) acc.btts = newAcc();
+  if (markets.includes("cs")) acc.cs = { n: 0, logloss: 0, topHits: 0, roi: newRoi() };
+  if (markets.includes("ah")) acc.ah = new Map(ahLines.map(l => [l, newAcc()]));
+  if (markets.includes("ou")) acc.ou = new Map(ouLines.map(l => [l, newAcc()]));
+
+  const stake = (roi, settle, price) => {
+    roi.bets++;
+    if (settle > 0) roi.wins++;
+    if (settle === 0) roi.pushes++;
+    roi.profit += profit1uLine(settle, price);
+  };
+
+  // binary metrics only where the line cannot push (half lines / BTTS)
+  const score = (a, p, y) => {
+    a.n++;
+    a.brier += (p - y) ** 2;
+    a.logloss += loglossBinaryP(p, y);
+  };
+
+  // sides: [{ dist, settle, price }] -> stake the best one that qualifies
+  const bestSide = (roi, sides) => {
+    const cands = sides
+      .map(s => ({ ...s, ev: evLine(s.dist, s.price), pPos: s.dist.win + s.dist.halfWin }))
+      .filter(s => s.ev != null && s.pPos >= minP && s.ev >= minEv)
+      .sort((a, b) => b.ev - a.ev);
+    if (cands.length) stake(roi, cands[0].settle, cands[0].price);
+  };
+
+  function add(probs, m) {
+    const grid = probs.grid;
+    const diff = m.hg - m.ag;
+    const tg = m.hg + m.ag;
+
+    if (acc.btts) {
+      const b = bttsFromGrid(grid);
+      const y = m.hg > 0 && m.ag > 0 ? 1 : 0;
+      score(acc.btts, b.yes, y);
+      const dist = (p) => ({ win: p, halfWin: 0, push: 0, halfLoss: 0, loss: 1 - p });
+      bestSide(acc.btts.roi, [
+        { dist: dist(b.yes), settle: y ? 1 : -1, price: odds.btts.yes },
+        { dist: dist(b.no), settle: y ? -1 : 1, price: odds.btts.no }
+      ]);
+    }
+
+    if (acc.cs) {
+      const key = `${m.hg}-${m.ag}`;
+      const pObs = (m.hg <= MAX_GOALS && m.ag <= MAX_GOALS) ? grid[m.hg][m.ag] : 0;
+      acc.cs.n++;
+      acc.cs.logloss += -logSafe(pObs);
+      const cs = correctScoreFromGrid(grid, 1);
+      if (cs.top[0]?.score === key) acc.cs.topHits++;
+
+      const sides = Object.entries(odds.correctScore).map(([k, price]) => {
+        const [h, a] = k.split("-").map(Number);
+        const p = grid[h][a];
+        return { dist: { win: p, halfWin: 0, push: 0, halfLoss: 0, loss: 1 - p }, settle: k === key ? 1 : -1, price };
+      });
+      bestSide(acc.cs.roi, sides);
+    }
+
+    if (acc.ah) {
+      for (const line of ahLines) {
+        const a = acc.ah.get(line);
+        const home = settleDist(grid, (hg, ag) => settleAH(hg - ag, line, "home"));
+        const away = settleDist(grid, (hg, ag) => settleAH(hg - ag, line, "away"));
+        const settleHome = settleAH(diff, line, "home");
+        if (splitLine(line).every(l => !Number.isInteger(l))) score(a, home.win, settleHome > 0 ? 1 : 0);
+        bestSide(a.roi, [
+          { dist: home, settle: settleHome, price: lineOdds.ah[line].home },
+          { dist: away, settle: settleAH(diff, line, "away"), price: lineOdds.ah[line].away }
+        ]);
+      }
+    }
+
+    if (acc.ou) {
+      for (const t of totalsFromGrid(grid, ouLines, probs)) {
+        const a = acc.ou.get(t.line);
+        const settleOver = settleTotal(tg, t.line, "over");
+        if (splitLine(t.line).every(l => !Number.isInteger(l))) score(a, t.over.win, settleOver > 0 ? 1 : 0);
+        const price = lineOdds.totals[t.line];
+        bestSide(a.roi, [
+          { dist: t.over, settle: settleOver, price: price.over },
+          { dist: t.under, settle: settleTotal(tg, t.line, "under"), price: price.under }
+        ]);
+      }
+    }
+  }
+
+  const fmtRoi = (x) => ({ ...x, roi: x.bets ? x.profit / x.bets : null, winRate: x.bets ? x.wins / x.bets : null });
+  const fmtAcc = (a) => ({
+    brier: a.n ? a.brier / a.n : null,
+    logloss: a.n ? a.logloss / a.n : null,
+    roi: fmtRoi(a.roi)
+  });
+
+  function summary() {
+    const out = {};
+    if (acc.btts) out.btts = fmtAcc(acc.btts);
+    if (acc.cs) {
+      out.correctScore = {
+        logloss: acc.cs.n ? acc.cs.logloss / acc.cs.n : null,
+        topScoreHitRate: acc.cs.n ? acc.cs.topHits / acc.cs.n : null,
+        roi: fmtRoi(acc.cs.roi)
+      };
+    }
+    if (acc.ah) out.ah = [...acc.ah].map(([line, a]) => ({ line, ...fmtAcc(a) }));
+    if (acc.ou) out.totals = [...acc.ou].map(([line, a]) => ({ line, ...fmtAcc(a) }));
+    return out;
+  }
+
+  return { add, summary };
+}
+
+// ------------------- BETTING STRATEGIES (BACKTEST) -------------------
+// Named, parameterised bet-selection rules evaluated side by side on the same backtest probabilities:
+//   strategies=all_1x2,unders(min_ev=0.05),best_per_match(markets=1x2|ou25;side=both)   (or strategies=all)
+// Every strategy takes min_ev / min_p (default: the backtest thresholds), min_odds, max_odds,
+// side=back|lay|both, markets=1x2|ou25|ou35 and max_per_match. EV and min_ev are per unit at risk;
+// at most one side is taken per selection.
+const STRATEGY_MARKETS = { "1x2": "oneXtwo", ou25: "ou25", ou35: "ou35" };
+const STRATEGY_PARAMS = ["min_ev", "min_p", "min_odds", "max_odds", "side", "markets", "max_per_match"];
+const MAX_STRATEGIES = 12;
+
+// pick(candidate, ctx): ctx = { top, favourite, underdog } for the match (1X2 selections)
+const BETTING_STRATEGIES = {
+  top_pick_overs: {
+    label: "1X2 top model pick + Overs (the default ROI sim rule)",
+    defaults: { markets: ["1x2", "ou25", "ou35"] },
+    pick: (c, ctx) => (c.market === "oneXtwo" ? c.selection === ctx.top : c.selection === "over")
+  },
+  all_1x2: { label: "Every 1X2 outcome", defaults: { markets: ["1x2"] }, pick: () => true },
+  draws: { label: "Draws only", defaults: { markets: ["1x2"] }, pick: c => c.selection === "D" },
+  favourites: { label: "Shorter-priced side of home/away", defaults: { markets: ["1x2"] }, pick: (c, ctx) => c.selection === ctx.favourite },
+  underdogs: { label: "Longer-priced side of home/away", defaults: { markets: ["1x2"] }, pick: (c, ctx) => c.selection === ctx.underdog },
+  overs: { label: "Overs only (OU2.5 + OU3.5)", defaults: { markets: ["ou25", "ou35"] }, pick: c => c.selection === "over" },
+  unders: { label: "Unders only (OU2.5 + OU3.5)", defaults: { markets: ["ou25", "ou35"] }, pick: c => c.selection === "under" },
+  all_markets: { label: "Every selection in 1X2, OU2.5 and OU3.5", defaults: { markets: ["1x2", "ou25", "ou35"] }, pick: () => true },
+  best_per_match: {
+    label: "Highest-EV selection per match",
+    defaults: { markets: ["1x2", "ou25", "ou35"], maxPerMatch: 1 },
+    pick: () => true
+  }
+};
+
+function splitTopLevel(raw) {
+  const out = [];
+  let depth = 0, cur = "";
+  for (const ch of String(raw)) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) { out.push(cur); cur = ""; } else cur += ch;
+  }
+  out.push(cur);
+  return out.map(x => x.trim()).filter(Boolean);
+}
+
+// strategies= -> { specs: [{ key, name, label, params }] } | { error }
+function parseStrategies(raw, { minEv, minP }) {
+  if (!raw) return { specs: [] };
+  const tokens = String(raw).trim() === "all" ? Object.keys(BETTING_STRATEGIES) : splitTopLevel(raw);
+  if (tokens.length > MAX_STRATEGIES) return { error: `at most ${MAX_STRATEGIES} strategies per backtest` };
+
+  const specs = [];
+  for (const token of tokens) {
+    const m = token.match(/^([a-z0-9_]+)\s*(?:\((.*)\))?$/i);
+    const def = m && Object.hasOwn(BETTING_STRATEGIES, m[1]) ? BETTING_STRATEGIES[m[1]] : null;
+    if (!def) return { error: `unknown strategy "${token}"`, strategies: Object.keys(BETTING_STRATEGIES) };
+    if (specs.some(x => x.key === token)) return { error: `strategy "${token}" is listed twice` };
+
+    const params = {
+      minEv, minP, minOdds: 1, maxOdds: 1000, side: "back",
+      markets: def.defaults.markets, maxPerMatch: def.defaults.maxPerMatch ?? null
+    };
+    for (const kv of (m[2] || "").split(";").map(x => x.trim()).filter(Boolean)) {
+      const [k, v = ""] = kv.split("=").map(x => x.trim());
+      if (!STRATEGY_PARAMS.includes(k)) return { error: `${m[1]}: unknown parameter "${k}" (use ${STRATEGY_PARAMS.join(", ")})` };
+      const x = Number(v);
+      if (k === "side") {
+        if (!BET_SIDES.includes(v)) return { error: `${m[1]}: side must be one of ${BET_SIDES.join(", ")}` };
+        params.side = v;
+      } else if (k === "markets") {
+        const mks = v.split("|").map(y => y.trim()).filter(Boolean);
+        if (!mks.length || mks.some(y => !STRATEGY_MARKETS[y])) return { error: `${m[1]}: markets must be a |-list of ${Object.keys(STRATEGY_MARKETS).join(", ")}` };
+        params.markets = mks;
+      } else if (!Number.isFinite(x)) {
+        return { error: `${m[1]}: ${k} must be a number` };
+      } else if (k === "min_ev") params.minEv = clamp(x, -1, 10);
+      else if (k === "min_p") params.minP = clamp(x, 0, 1);
+      else if (k === "min_odds") params.minOdds = clamp(x, 1, 1000);
+      else if (k === "max_odds") params.maxOdds = clamp(x, 1, 1000);
+      else if (k === "max_per_match") params.maxPerMatch = clamp(Math.round(x), 1, 9);
+    }
+    specs.push({ key: token, name: m[1], label: def.label, params });
+  }
+  return { specs };
+}
+
+// Accumulates per-strategy ROI over a backtest. add() takes every priced selection of the match:
+// [{ market: oneXtwo|ou25|ou35, selection, side, p, odds, win, pWin, evRisk }]
+function createStrategyEval(specs) {
+  const newRoi = () => ({ bets: 0, wins: 0, profit: 0, liability: 0, oddsSum: 0, evSum: 0 });
+  const acc = specs.map(spec => ({ spec, all: newRoi(), matches: 0, byMarket: {}, bySide: {} }));
+
+  const slot = (o, k) => (o[k] = o[k] || newRoi());
+  const book = (r, bet) => {
+    r.bets++;
+    if (bet.win) r.wins++;
+    r.profit += betProfit1u(bet);
+    r.liability += betLiability1u(bet);
+    r.oddsSum += bet.odds;
+    r.evSum += bet.evRisk;
+  };
+
+  function add(cands, ctx) {
+    for (const a of acc) {
+      const pr = a.spec.params;
+      const mks = new Set(pr.markets.map(x => STRATEGY_MARKETS[x]));
+      const qualifying = cands
+        .filter(c => c.odds != null && mks.has(c.market))
+        .filter(c => pr.side === "both" || c.side === pr.side)
+        .filter(c => c.odds >= pr.minOdds && c.odds <= pr.maxOdds)
+        .filter(c => c.pWin >= pr.minP && c.evRisk >= pr.minEv)
+        .filter(c => BETTING_STRATEGIES[a.spec.name].pick(c, ctx))
+        .sort((x, y) => y.evRisk - x.evRisk);
+
+      const taken = [];
+      for (const c of qualifying) {
+        if (pr.maxPerMatch != null && taken.length >= pr.maxPerMatch) break;
+        if (taken.some(t => t.market === c.market && t.selection === c.selection)) continue;
+        taken.push(c);
+      }
+      if (taken.length) a.matches++;
+      for (const bet of taken) {
+        book(a.all, bet);
+        book(slot(a.byMarket, bet.market), bet);
+        book(slot(a.bySide, bet.side), bet);
+      }
+    }
+  }
+
+  const fmtRoi = (x) => ({
+    bets: x.bets,
+    wins: x.wins,
+    hitRate: x.bets ? x.wins / x.bets : null,
+    profit: x.profit,
+    roi: x.bets ? x.profit / x.bets : null,
+    liability: x.liability,
+    roiOnLiability: x.liability ? x.profit / x.liability : null,
+    avgOdds: x.bets ? x.oddsSum / x.bets : null,
+    avgEv: x.bets ? x.evSum / x.bets : null
+  });
+  const fmtMap = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, fmtRoi(v)]));
+
+  function summary() {
+    const out = {};
+    for (const a of acc) {
+      out[a.spec.key] = {
+        strategy: a.spec.name,
+        label: a.spec.label,
+        params: a.spec.params,
+        ...fmtRoi(a.all),
+        matchesWithBet: a.matches,
+        byMarket: fmtMap(a.byMarket),
+        bySide: fmtMap(a.bySide)
+      };
+    }
+    return out;
+  }
+
+  return { add, summary };
+}
+
+// ------------------- CALIBRATION FIT ON A MODEL + DATA (GUARDED) -------------------
+// Every calibrator is kept only if its cross-validated logloss (fitted on K-1 folds, scored on the
+// held-out one) beats the raw logloss by PLATT_IMPROVE_EPS; the kept fit then uses every sample.
+const BINARY_CALIBRATIONS = ["platt", "isotonic"];
+const ONE_X_TWO_CALIBRATIONS = ["temperature", "vector", "draw"];
 
-    const muH = Math.exp(model.ha + model.attH[iH] + model.defA[iA]);
-    const muA = Math.exp(model.attA[iA] + model.defH[iH]);
+// raw model probabilities on the training matches (OU from the grid, 1X2 normalised)
+function calibrationSamples(model, trainMatchesPlayed) {
+  const s = { raw25: [], y25: [], raw35: [], y35: [], raw1x2: [], y1x2: [] };
 
-    let pO25 = 0, pO35 = 0;
+  for (const m of trainMatchesPlayed) {
+    const mus = modelMus(model, m.home, m.away);
+    if (!mus) continue;
+
+    let pO25 = 0, pO35 = 0, pH = 0, pD = 0, pA = 0;
+    const grid = modelScoreMatrix(model, mus.muH, mus.muA);
     for (let hg = 0; hg <= MAX_GOALS; hg++) {
-      const ph = poissonP(hg, muH);
       for (let ag = 0; ag <= MAX_GOALS; ag++) {
-        const pa = poissonP(ag, muA);
-        const p = ph * pa;
+        const p = grid[hg][ag];
         const tg = hg + ag;
         if (tg >= 3) pO25 += p;
         if (tg >= 4) pO35 += p;
+        if (hg > ag) pH += p; else if (hg === ag) pD += p; else pA += p;
       }
     }
 
     const tgObs = m.hg + m.ag;
-    raw25.push(clamp(pO25, 1e-6, 1 - 1e-6)); y25.push(tgObs >= 3 ? 1 : 0);
-    raw35.push(clamp(pO35, 1e-6, 1 - 1e-6)); y35.push(tgObs >= 4 ? 1 : 0);
+    s.raw25.push(clamp(pO25, 1e-6, 1 - 1e-6)); s.y25.push(tgObs >= 3 ? 1 : 0);
+    s.raw35.push(clamp(pO35, 1e-6, 1 - 1e-6)); s.y35.push(tgObs >= 4 ? 1 : 0);
+    const tot = pH + pD + pA;
+    s.raw1x2.push({ H: pH / tot, D: pD / tot, A: pA / tot });
+    s.y1x2.push(m.hg > m.ag ? "H" : m.hg === m.ag ? "D" : "A");
+  }
+  return s;
+}
+
+// mean held-out loss over interleaved folds (samples are in training order, so every fold spans the window)
+function crossValidatedLoss(n, fitOn, lossOn, folds = CALIBRATION_CV_FOLDS) {
+  let sum = 0;
+  for (let k = 0; k < folds; k++) {
+    const train = [], test = [];
+    for (let i = 0; i < n; i++) (i % folds === k ? test : train).push(i);
+    if (test.length) sum += lossOn(fitOn(train), test) * test.length;
   }
+  return sum / n;
+}
+
+function guardedBinary(raw, ys, fitFn) {
+  if (raw.length < PLATT_MIN_SAMPLES) return null;
+  const heldOut = crossValidatedLoss(raw.length,
+    idx => fitFn(idx.map(i => raw[i]), idx.map(i => ys[i])),
+    (fit, idx) => loglossBinary(idx.map(i => applyBinaryCalibration(raw[i], fit)), idx.map(i => ys[i])));
+  return heldOut + PLATT_IMPROVE_EPS < loglossBinary(raw, ys) ? fitFn(raw, ys) : null;
+}
+
+function guardedOneXtwo(raw, ys, type) {
+  if (raw.length < PLATT_MIN_SAMPLES) return null;
+  const heldOut = crossValidatedLoss(raw.length,
+    idx => fitOneXtwoCalibration(idx.map(i => raw[i]), idx.map(i => ys[i]), type),
+    (fit, idx) => loglossOneXtwo(idx.map(i => applyOneXtwoCalibration(raw[i], fit)), idx.map(i => ys[i])));
+  return heldOut + PLATT_IMPROVE_EPS < loglossOneXtwo(raw, ys) ? fitOneXtwoCalibration(raw, ys, type) : null;
+}
+
+function fitTotalsCalibrationForModel(model, trainMatchesPlayed, samples = null) {
+  if (!model) return null;
+  const s = samples || calibrationSamples(model, trainMatchesPlayed);
+  const platt = (raw, ys) => fitPlatt(raw, ys, { iters: 350, lr: 0.02, l2: 5e-3 });
 
   const cal = {};
+  const ou25 = guardedBinary(s.raw25, s.y25, platt);
+  if (ou25) cal.ou25 = ou25;
+  const ou35 = guardedBinary(s.raw35, s.y35, platt);
+  if (ou35) cal.ou35 = ou35;
+  return cal;
+}
 
-  if (raw25.length >= PLATT_MIN_SAMPLES) {
-    const fit = fitPlatt(raw25, y25, { iters: 350, lr: 0.02, l2: 5e-3 });
-    const rawLL = loglossBinary(raw25, y25);
-    const calLL = loglossBinary(raw25.map(p => applyPlatt(p, fit)), y25);
-    if (calLL + PLATT_IMPROVE_EPS < rawLL) cal.ou25 = fit;
+// calibrators for one fitted model: { platt, isotonic, temperature, vector, draw }
+// (platt/isotonic are { ou25?, ou35? }; the 1X2 ones are a single calibrator or null).
+// spec (parseCalibration) limits the fit to the calibrators it selects; null fits all of them.
+function fitCalibratorsForModel(model, trainMatchesPlayed, spec = null) {
+  if (!model) return null;
+  const wanted = type => !spec || spec.binary === type || spec.oneXtwo === type;
+  const out = {};
+  if (!BINARY_CALIBRATIONS.some(wanted) && !ONE_X_TWO_CALIBRATIONS.some(wanted)) return out;
+  const s = calibrationSamples(model, trainMatchesPlayed);
+
+  if (wanted("platt")) out.platt = fitTotalsCalibrationForModel(model, trainMatchesPlayed, s);
+  if (wanted("isotonic")) {
+    out.isotonic = {};
+    const iso25 = guardedBinary(s.raw25, s.y25, fitIsotonic);
+    if (iso25) out.isotonic.ou25 = iso25;
+    const iso35 = guardedBinary(s.raw35, s.y35, fitIsotonic);
+    if (iso35) out.isotonic.ou35 = iso35;
+  }
+  for (const type of ONE_X_TWO_CALIBRATIONS) {
+    if (wanted(type)) out[type] = guardedOneXtwo(s.raw1x2, s.y1x2, type);
   }
+  return out;
+}
 
-  if (raw35.length >= PLATT_MIN_SAMPLES) {
-    const fit = fitPlatt(raw35, y35, { iters: 350, lr: 0.02, l2: 5e-3 });
-    const rawLL = loglossBinary(raw35, y35);
-    const calLL = loglossBinary(raw35.map(p => applyPlatt(p, fit)), y35);
-    if (calLL + PLATT_IMPROVE_EPS < rawLL) cal.ou35 = fit;
+// calibration= "platt" (default) | "isotonic" | "none", optionally plus one of temperature|vector|draw
+// for 1X2, e.g. "isotonic,vector" -> { spec: { binary, oneXtwo, label } } | { error }
+function parseCalibration(raw) {
+  const tokens = String(raw ?? "platt").split(",").map(t => t.trim().toLowerCase()).filter(Boolean);
+  const spec = { binary: null, oneXtwo: null };
+  for (const t of tokens) {
+    if (t === "none") continue;
+    if (BINARY_CALIBRATIONS.includes(t) && !spec.binary) spec.binary = t;
+    else if (ONE_X_TWO_CALIBRATIONS.includes(t) && !spec.oneXtwo) spec.oneXtwo = t;
+    else {
+      return { error: `calibration takes at most one of ${BINARY_CALIBRATIONS.join("|")} and one of ${ONE_X_TWO_CALIBRATIONS.join("|")} (or none); got "${raw}"` };
+    }
   }
+  return { spec: { ...spec, label: [spec.binary, spec.oneXtwo].filter(Boolean).join(",") || "none" } };
+}
 
-  return cal;
+// copy of the model carrying only the selected calibrators in model.calibration
+// (artifacts saved before 1X2/isotonic calibration existed only have Platt)
+function withCalibration(model, spec) {
+  if (!model || !spec) return model;
+  const cals = model.calibrators || { platt: model.calibration };
+  const binary = spec.binary ? cals[spec.binary] || null : null;
+  const oneXtwo = spec.oneXtwo ? cals[spec.oneXtwo] || null : null;
+  return {
+    ...model,
+    calibration: binary || oneXtwo ? { ...(binary || {}), ...(oneXtwo ? { oneXtwo } : {}) } : null,
+    calibrationMethod: spec.label
+  };
 }
 
-// ------------------- MODEL CACHE (STATIC MODEL) -------------------
-async function getModelFor(trainKey, filterFn) {
-  const now = Date.now();
-  if (modelCache.model && modelCache.key === trainKey && (now - modelCache.ts) < MODEL_CACHE_MS) {
-    return modelCache.model;
+// ------------------- MODEL ARTIFACTS (VERSIONED, ON DISK) -------------------
+// One JSON file per distinct getModelFor build in MODELS_DIR. A build whose training signature
+// (competition, family, trainKey, data hash, knobs, decay day) matches a saved artifact reuses it
+// instead of refitting. Time decay is measured back from the build, and with a fixed number of
+// gradient steps it changes the fit, so builds are fitted as of the start of their UTC day and
+// only reuse artifacts from that same day.
+// Only the newest MODEL_ARTIFACTS_MAX files are kept, plus any that bets, forecasts, recommendations,
+// alert deliveries or the model cache still point at.
+let artifactCache = { byId: new Map() }; // id -> model (artifacts are immutable)
+let artifactIndex = { summaries: null }; // promise of artifactSummary[] (newest first), read from disk once
+
+function modelKnobs() {
+  return {
+    HALF_LIFE_DAYS, MIN_GAMES_PER_TEAM,
+    GOAL_CAP, SHRINK_ALPHA,
+    HA_L2, HA_L2_HA,
+    DC_RHO_LR, DC_RHO_MIN, DC_RHO_MAX,
+    BIVPOIS_COV_MAX, NEGBIN_SIZE_MIN, NEGBIN_SIZE_MAX,
+    MAX_GOALS,
+    PLATT_MIN_SAMPLES, PLATT_IMPROVE_EPS, CALIBRATION_CV_FOLDS
+  };
+}
+
+function trainingDataHash(played) {
+  const lines = played
+    .map(m => `${fixtureIdOf(m)}|${m.hg}|${m.ag}`)
+    .sort();
+  return crypto.createHash("sha256").update(lines.join("\n")).digest("hex");
+}
+
+function artifactSignature({ competition, family, trainKey, dataHash, knobs, decayDay }) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([competition, family, trainKey, dataHash, knobs, decayDay ?? null]))
+    .digest("hex");
+}
+
+// "YYYY-MM-DD" (UTC) of ms; getModelFor builds measure time decay from that day's midnight
+function decayDayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function trainingWindow(played) {
+  const ts = played.map(m => m.kickoffISO).sort();
+  return {
+    from: ts[0] || null,
+    to: ts[ts.length - 1] || null,
+    matches: played.length,
+    seasons: [...new Set(played.map(m => m.season))].sort()
+  };
+}
+
+function modelToArtifact(model, { id, competition, trainKey, played, createdAt, decayDay }) {
+  const dataHash = trainingDataHash(played);
+  const knobs = modelKnobs();
+  return {
+    id,
+    createdAt,
+    competition,
+    family: model.family,
+    label: modelLabel(model),
+    trainKey,
+    trainingWindow: trainingWindow(played),
+    dataHash,
+    decayDay,
+    signature: artifactSignature({ competition, family: model.family, trainKey, dataHash, knobs, decayDay }),
+    knobs,
+    params: {
+      teams: model.teams,
+      attH: model.attH, defH: model.defH, attA: model.attA, defA: model.defA,
+      ha: model.ha,
+      rho: model.rho,
+      familyParams: model.familyParams || null,
+      halfLifeDays: model.halfLifeDays,
+      minGamesPerTeam: model.minGamesPerTeam,
+      leagueAvgGoals: model.leagueAvgGoals,
+      teamMeta: model.teamMeta
+    },
+    calibration: model.calibration || null,
+    calibrators: model.calibrators || null
+  };
+}
+
+function artifactToModel(a) {
+  const p = a.params;
+  return {
+    teams: p.teams,
+    idx: new Map(p.teams.map((t, i) => [t, i])),
+    attH: p.attH, defH: p.defH, attA: p.attA, defA: p.defA,
+    ha: p.ha,
+    rho: p.rho || 0,
+    halfLifeDays: p.halfLifeDays,
+    minGamesPerTeam: p.minGamesPerTeam,
+    teamMeta: p.teamMeta,
+    leagueAvgGoals: p.leagueAvgGoals,
+    calibration: a.calibration || null,
+    calibrators: a.calibrators || null,
+    family: a.family,
+    familyParams: p.familyParams,
+    competition: a.competition,
+    artifactId: a.id
+  };
+}
+
+function artifactSummary(a) {
+  return {
+    id: a.id,
+    createdAt: a.createdAt,
+    competition: a.competition,
+    family: a.family,
+    label: a.label,
+    trainKey: a.trainKey,
+    trainingWindow: a.trainingWindow,
+    dataHash: a.dataHash,
+    decayDay: a.decayDay || null,
+    signature: a.signature || artifactSignature(a)
+  };
+}
+
+async function readArtifactSummaries() {
+  let names = [];
+  try {
+    names = (await fs.promises.readdir(MODELS_DIR)).filter(f => f.endsWith(".json"));
+  } catch (e) {
+    return [];
   }
+  const out = [];
+  for (const f of names) {
+    try {
+      out.push(artifactSummary(JSON.parse(await fs.promises.readFile(path.join(MODELS_DIR, f), "utf8"))));
+    } catch (e) {
+      console.warn(`[models] unreadable artifact ${f}: ${e?.message || e}`);
+    }
+  }
+  return out.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
 
-  const all = await loadAllSeasonsUnified();
-  const trainAll = all.filter(filterFn);
-  const trainPlayed = trainAll.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+// newest first; kept in step with saveModelArtifact / pruneModelArtifacts after the first read
+function listModelArtifacts() {
+  if (!artifactIndex.summaries) artifactIndex.summaries = readArtifactSummaries();
+  return artifactIndex.summaries;
+}
 
-  const model = buildModelFromMatches(trainAll, { halfLifeDays: HALF_LIFE_DAYS, minGamesPerTeam: MIN_GAMES_PER_TEAM });
-  if (!model) {
-    modelCache = { ts: now, key: trainKey, model: null };
+async function readModelArtifact(id) {
+  if (!/^[A-Za-z0-9._-]+$/.test(String(id))) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(MODELS_DIR, `${id}.json`), "utf8"));
+  } catch (e) {
     return null;
   }
+}
 
-  model.calibration = fitTotalsCalibrationForModel(model, trainPlayed) || null;
-
-  modelCache = { ts: now, key: trainKey, model };
+async function loadModelById(id) {
+  if (artifactCache.byId.has(id)) return artifactCache.byId.get(id);
+  const a = await readModelArtifact(id);
+  if (!a) return null;
+  const model = artifactToModel(a);
+  artifactCache.byId.set(id, model);
   return model;
 }
 
-async function getDefaultModel() {
-  return getModelFor("default_all", _ => true);
+// newest saved model with this training signature, or null
+async function findModelArtifact(signature) {
+  const hit = (await listModelArtifacts()).find(s => s.signature === signature);
+  return hit ? loadModelById(hit.id) : null;
 }
 
-// ------------------- ROUTES -------------------
-app.get("/health", (req, res) => res.json({ ok: true, ts: Date.now() }));
+// artifact ids that something still resolves or reports: ledger bets, frozen forecasts, logged
+// recommendations, alert deliveries and the models getModelFor is currently serving
+async function referencedArtifactIds() {
+  const ids = new Set();
+  for (const { model } of modelCache.byKey.values()) if (model?.artifactId) ids.add(model.artifactId);
+  const collect = (store, idOf) => store.with(byId => {
+    for (const x of byId.values()) {
+      const id = idOf(x);
+      if (id) ids.add(id);
+    }
+    return { result: null, changed: false };
+  });
+  await collect(betLedger, b => b.model?.modelId);
+  await collect(forecastArchive, f => f.model?.id);
+  await collect(recommendationLog, r => r.modelId);
+  await collect(alertDeliveries, d => d.payload?.modelId);
+  return ids;
+}
+
+// drops the oldest unreferenced artifacts past MODEL_ARTIFACTS_MAX; keepId (a fresh save) is always kept
+async function pruneModelArtifacts(keepId = null) {
+  const summaries = await listModelArtifacts();
+  if (summaries.length <= MODEL_ARTIFACTS_MAX) return;
+  const referenced = await referencedArtifactIds();
+  if (keepId) referenced.add(keepId);
+  for (let i = summaries.length - 1; i >= 0 && summaries.length > MODEL_ARTIFACTS_MAX; i--) {
+    if (referenced.has(summaries[i].id)) continue;
+    const [old] = summaries.splice(i, 1);
+    artifactCache.byId.delete(old.id);
+    try {
+      await fs.promises.unlink(path.join(MODELS_DIR, `${old.id}.json`));
+    } catch (e) {
+      if (e?.code !== "ENOENT") console.warn(`[models] could not prune artifact ${old.id}: ${e?.message || e}`);
+    }
+  }
+}
+
+// persists the build and stamps model.artifactId; never fails the caller
+async function saveModelArtifact(model, { competition, trainKey, trainMatches, decayDay }) {
+  const played = trainMatches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+  const createdAt = new Date().toISOString();
 
-app.get("/api/seasons", async (req, res) => {
   try {
-    const all = await loadAllSeasonsUnified();
-    const counts = seasonCountsWithResults(all);
-    const seasons = Object.keys(counts).sort();
-    res.json({ seasons: seasons.map(s => ({ season: s, total: counts[s].total, played: counts[s].played })) });
+    const stamp = createdAt.replace(/[-:]/g, "").replace(/\.(\d+)Z$/, "$1Z");
+    const id = `${stamp}-${competition}-${model.family}-${crypto.randomBytes(3).toString("hex")}`;
+    const artifact = modelToArtifact(model, { id, competition, trainKey, played, createdAt, decayDay });
+    await fs.promises.mkdir(MODELS_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(MODELS_DIR, `${id}.json`), JSON.stringify(artifact, null, 2));
+    model.artifactId = id;
+    (await listModelArtifacts()).unshift(artifactSummary(artifact));
+    await pruneModelArtifacts(id);
+    return id;
+  } catch (e) {
+    console.warn(`[models] could not save artifact: ${e?.message || e}`);
+    return null;
+  }
+}
+
+// ------------------- MODEL CACHE (STATIC MODEL) -------------------
+// knobs: optional per-call overrides (see runBacktest); defaults are the CONFIG constants
+// asOf (ms): fit as if it were that moment (time decay measured from it); defaults to now
+function fitStrengths(family, matches, knobs = {}, asOf = null) {
+  return MODEL_FAMILIES[family].fit(matches, {
+    halfLifeDays: knobs.halfLifeDays ?? HALF_LIFE_DAYS,
+    minGamesPerTeam: MIN_GAMES_PER_TEAM,
+    goalCap: knobs.goalCap ?? GOAL_CAP,
+    shrinkAlpha: knobs.shrinkAlpha ?? SHRINK_ALPHA,
+    haL2: knobs.haL2 ?? HA_L2,
+    haL2Ha: knobs.haL2Ha ?? HA_L2_HA,
+    asOf
+  });
+}
+
+// fitStrengths + calibrators: the ones calibration (a parseCalibration spec) asks for, or all of them
+// when null (getModelFor builds are persisted, and a model_id pin may ask for any calibration= later);
+// asOf as in fitStrengths
+function fitModel(family, matches, knobs = {}, calibration = null, asOf = null) {
+  const model = fitStrengths(family, matches, knobs, asOf);
+  if (!model) return null;
+  const trainPlayed = matches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+  model.calibrators = fitCalibratorsForModel(model, trainPlayed, calibration);
+  model.calibration = model.calibrators.platt || null;
+  return model;
+}
+
+async function getModelFor(trainKey, filterFn, family = DEFAULT_MODEL_FAMILY, competition = DEFAULT_COMPETITION) {
+  const now = Date.now();
+  const key = `${competition}|${family}|${trainKey}`;
+  const cached = modelCache.byKey.get(key);
+  if (cached && (now - cached.ts) < MODEL_CACHE_MS) {
+    return cached.model;
+  }
+
+  const all = await loadAllSeasonsUnified(competition);
+  const trainMatches = all.filter(filterFn);
+  const played = trainMatches.filter(m => m.kickoffISO && m.hg != null && m.ag != null);
+  const decayDay = decayDayOf(now);
+  const signature = artifactSignature({ competition, family, trainKey, dataHash: trainingDataHash(played), knobs: modelKnobs(), decayDay });
+  let model = await findModelArtifact(signature);
+  if (!model) {
+    model = fitModel(family, trainMatches, {}, null, Date.parse(decayDay));
+    if (model) await saveModelArtifact(model, { competition, trainKey, trainMatches, decayDay });
+  }
+
+  modelCache.byKey.set(key, { ts: now, model });
+  // backtest / as-of fits are not what value pricing serves, so only the live model counts as a refresh
+  if (trainKey === "default_all" && model?.artifactId !== cached?.model?.artifactId) notifyDataRefresh("model", key);
+  return model;
+}
+
+async function getDefaultModel(family = DEFAULT_MODEL_FAMILY, competition = DEFAULT_COMPETITION) {
+  return getModelFor("default_all", _ => true, family, competition);
+}
+
+// competition= / model= / model_id= / calibration= -> { comp, family, model } or { error: { status, body } }
+// model_id pins a saved artifact; its competition and family apply unless the request contradicts them.
+async function resolveRequestModel(req) {
+  const { spec: calibration, error: calError } = parseCalibration(req.query.calibration);
+  if (calError) return { error: { status: 400, body: { error: calError } } };
+  const modelId = req.query.model_id ? String(req.query.model_id) : null;
+  const pinned = modelId ? await loadModelById(modelId) : null;
+  if (modelId && !pinned) return { error: { status: 404, body: { error: `unknown model_id "${modelId}"` } } };
+
+  const comp = getCompetition(req.query.competition || pinned?.competition);
+  if (!comp) return { error: { status: 400, body: unknownCompetitionError(req.query.competition) } };
+  const family = resolveFamily(req.query.model || pinned?.family);
+  if (!family) return { error: { status: 400, body: unknownFamilyError(req.query.model) } };
+
+  if (pinned && (pinned.competition !== comp.id || pinned.family !== family)) {
+    return { error: { status: 400, body: { error: `model_id "${modelId}" is a ${pinned.family} model for ${pinned.competition}` } } };
+  }
+
+  const model = withCalibration(pinned || await getDefaultModel(family, comp.id), calibration);
+  return { comp, family, model };
+}
+
+// ------------------- TEAM STRENGTH HISTORY (AS-OF-ROUND REFITS) -------------------
+// One refit per round of a season, on every match played before the round's first kickoff, with the
+// time decay measured from that kickoff. Fits are shared by all teams and cached for MODEL_CACHE_MS
+// (expired entries are dropped whenever a new fit is stored); the history yields between rounds.
+let strengthHistoryCache = { byKey: new Map() }; // key: `${competition}|${family}|${asOf}|${trainMatches}`
+
+// season matches grouped by round, ordered by each round's first kickoff
+function seasonRounds(seasonMatches) {
+  const byRound = new Map();
+  for (const m of seasonMatches) {
+    if (!m.kickoffISO) continue;
+    const key = m.round || "";
+    if (!byRound.has(key)) byRound.set(key, []);
+    byRound.get(key).push(m);
+  }
+  return [...byRound].map(([round, matches]) => ({
+    round,
+    asOf: matches.map(m => m.kickoffISO).sort()[0],
+    matches
+  })).sort((a, b) => (a.asOf < b.asOf ? -1 : a.asOf > b.asOf ? 1 : 0));
+}
+
+function strengthsAsOf(all, family, competition, asOf) {
+  const train = all.filter(m => isPlayed(m) && m.kickoffISO < asOf);
+  const key = `${competition}|${family}|${asOf}|${train.length}`;
+  const now = Date.now();
+  const cached = strengthHistoryCache.byKey.get(key);
+  if (cached && (now - cached.ts) < MODEL_CACHE_MS) return cached.fit;
+
+  const model = fitStrengths(family, train, {}, new Date(asOf).getTime());
+  const fit = model ? { ha: model.ha, familyParams: model.familyParams, teamMeta: model.teamMeta, trainMatches: train.length } : null;
+  for (const [k, v] of strengthHistoryCache.byKey) {
+    if ((now - v.ts) >= MODEL_CACHE_MS) strengthHistoryCache.byKey.delete(k);
+  }
+  strengthHistoryCache.byKey.set(key, { ts: now, fit });
+  return fit;
+}
+
+// same derived multipliers as /api/teams
+function strengthMultipliers(tm) {
+  return {
+    attackHome: Math.exp(tm.attH ?? 0),
+    defenceHome: Math.exp(-(tm.defH ?? 0)),
+    attackAway: Math.exp(tm.attA ?? 0),
+    defenceAway: Math.exp(-(tm.defA ?? 0))
+  };
+}
+
+async function teamStrengthHistory(all, { team, season, family, competition }) {
+  const rounds = seasonRounds(all.filter(m => m.season === season));
+  const nowISO = new Date().toISOString();
+  const points = [];
+  let prev = null;
+
+  for (const r of rounds) {
+    if (r.asOf > nowISO) break;
+    await yieldToEventLoop(); // one synchronous refit per uncached round
+    const fit = strengthsAsOf(all, family, competition, r.asOf);
+    const tm = fit?.teamMeta?.[team] || null;
+    const params = tm ? { attH: tm.attH, defH: tm.defH, attA: tm.attA, defA: tm.defA } : null;
+    const m = r.matches.find(x => x.home === team || x.away === team) || null; // null: bye
+    const atHome = m?.home === team;
+
+    points.push({
+      round: r.round,
+      asOf: r.asOf,
+      trainMatches: fit?.trainMatches || 0,
+      games: tm?.games || 0,
+      ha: fit?.ha ?? null,
+      familyParams: fit?.familyParams || null,
+      params,
+      multipliers: tm ? strengthMultipliers(tm) : null,
+      delta: params && prev ? Object.fromEntries(Object.keys(params).map(k => [k, params[k] - prev[k]])) : null,
+      match: m && {
+        fixtureId: fixtureIdOf(m),
+        kickoffISO: m.kickoffISO,
+        venue: atHome ? "home" : "away",
+        opponent: atHome ? m.away : m.home,
+        goalsFor: isPlayed(m) ? (atHome ? m.hg : m.ag) : null,
+        goalsAgainst: isPlayed(m) ? (atHome ? m.ag : m.hg) : null
+      }
+    });
+    if (params) prev = params;
+  }
+  return points;
+}
+
+// ------------------- HYPERPARAMETER TUNING (BACKGROUND JOBS) -------------------
+// Each config is scored by running the backtest engine (walk-forward by default) on every
+// held-out season; metrics are match-weighted across seasons. Jobs run one at a time (the backtest
+// yields to the event loop between matches); at most TUNE_MAX_PENDING may be queued or running.
+const TUNE_PARAMS = {
+  HALF_LIFE_DAYS: { key: "halfLifeDays", lo: 30, hi: 1500, int: true },
+  SHRINK_ALPHA: { key: "shrinkAlpha", lo: 0, hi: 0.6 },
+  GOAL_CAP: { key: "goalCap", lo: 2, hi: 12, int: true },
+  HA_L2: { key: "haL2", lo: 0, hi: 0.5 },
+  HA_L2_HA: { key: "haL2Ha", lo: 0, hi: 0.5 },
+  WALK_REBUILD_EVERY: { key: "walkRebuildEvery", lo: 1, hi: 60, int: true }
+};
+const TUNE_DEFAULT_SPACE = {
+  HALF_LIFE_DAYS: [120, 240, 480],
+  SHRINK_ALPHA: [0.05, 0.10, 0.20],
+  HA_L2: [0.005, 0.015, 0.05]
+};
+const TUNE_MAX_CONFIGS = 200;
+const TUNE_MAX_JOBS = 20;
+const TUNE_MAX_PENDING = 5;
+const TUNE_RANK_BY = ["combined", "oneXtwo", "totals"];
+
+let tuneJobs = { byId: new Map(), queue: Promise.resolve() };
+
+function currentKnobConfig() {
+  return { HALF_LIFE_DAYS, SHRINK_ALPHA, GOAL_CAP, HA_L2, HA_L2_HA, WALK_REBUILD_EVERY };
+}
+
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// space: { KNOB: [values] } (grid or random choice) or { KNOB: { min, max } } (random only)
+function validateTuneSpace(space, search) {
+  const out = {};
+  for (const [name, spec] of Object.entries(space || {})) {
+    const p = TUNE_PARAMS[name];
+    if (!p) throw new Error(`unknown knob "${name}" (tunable: ${Object.keys(TUNE_PARAMS).join(", ")})`);
+    const ok = (v) => Number.isFinite(v) && v >= p.lo && v <= p.hi && (!p.int || Number.isInteger(v));
+
+    if (Array.isArray(spec)) {
+      const vals = spec.map(Number);
+      if (!vals.length || !vals.every(ok)) throw new Error(`${name}: values must be in [${p.lo}, ${p.hi}]${p.int ? " (integers)" : ""}`);
+      out[name] = vals;
+    } else if (spec && typeof spec === "object" && search === "random") {
+      const min = Number(spec.min), max = Number(spec.max);
+      if (!ok(min) || !ok(max) || min > max) throw new Error(`${name}: range must be within [${p.lo}, ${p.hi}]`);
+      out[name] = { min, max };
+    } else {
+      throw new Error(`${name}: expected an array of values${search === "random" ? " or { min, max }" : ""}`);
+    }
+  }
+  if (Object.keys(out).length === 0) throw new Error("space is empty");
+  return out;
+}
+
+function tuneConfigs(space, search, samples, seed) {
+  const base = currentKnobConfig();
+  const names = Object.keys(space);
+
+  if (search === "grid") {
+    let configs = [{}];
+    for (const name of names) {
+      configs = configs.flatMap(c => space[name].map(v => ({ ...c, [name]: v })));
+      if (configs.length > TUNE_MAX_CONFIGS) throw new Error(`grid has more than ${TUNE_MAX_CONFIGS} configurations`);
+    }
+    return configs.map(c => ({ ...base, ...c }));
+  }
+
+  const rnd = seededRandom(seed);
+  const seen = new Set();
+  const configs = [];
+  for (let tries = 0; configs.length < samples && tries < samples * 20; tries++) {
+    const c = { ...base };
+    for (const name of names) {
+      const spec = space[name];
+      if (Array.isArray(spec)) c[name] = spec[Math.floor(rnd() * spec.length)];
+      else {
+        const v = spec.min + rnd() * (spec.max - spec.min);
+        c[name] = TUNE_PARAMS[name].int ? Math.round(v) : Number(v.toFixed(4));
+      }
+    }
+    const k = JSON.stringify(c);
+    if (!seen.has(k)) { seen.add(k); configs.push(c); }
+  }
+  return configs;
+}
+
+function configToKnobs(config) {
+  const knobs = {};
+  for (const [name, v] of Object.entries(config)) knobs[TUNE_PARAMS[name].key] = v;
+  return knobs;
+}
+
+async function scoreTuneConfig(config, { all, comp, family, seasons, mode }) {
+  const perSeason = [];
+  const tot = { matches: 0, oneXtwo: 0, ou25: 0, ou35: 0 };
+  for (const season of seasons) {
+    const r = await runBacktest({ all, comp, season, mode, family, oddsMode: "fixed", knobs: configToKnobs(config) });
+    const n = r.summary?.matches || 0;
+    if (!n) continue;
+    const s = { season, matches: n, oneXtwo: r.summary.oneXtwo.logloss, ou25: r.summary.ou25.logloss, ou35: r.summary.ou35.logloss };
+    perSeason.push(s);
+    tot.matches += n;
+    tot.oneXtwo += s.oneXtwo * n; tot.ou25 += s.ou25 * n; tot.ou35 += s.ou35 * n;
+  }
+  if (!tot.matches) return { config, metrics: null, perSeason };
+
+  const oneXtwo = tot.oneXtwo / tot.matches;
+  const ou25 = tot.ou25 / tot.matches;
+  const ou35 = tot.ou35 / tot.matches;
+  const totals = (ou25 + ou35) / 2;
+  return { config, metrics: { matches: tot.matches, oneXtwo, ou25, ou35, totals, combined: oneXtwo + totals }, perSeason };
+}
+
+async function runTuneJob(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  try {
+    const comp = getCompetition(job.request.competition);
+    const all = await loadAllSeasonsUnified(comp.id);
+    const counts = seasonCountsWithResults(all);
+    const seasons = job.request.seasons.length ? job.request.seasons : [pickAutoBacktestSeason(counts)].filter(Boolean);
+    if (!seasons.length) throw new Error("no held-out season with played matches");
+    job.seasons = seasons;
+
+    const ctx = { all, comp, family: job.request.family, seasons, mode: job.request.mode };
+    job.current = await scoreTuneConfig(currentKnobConfig(), ctx);
+
+    const results = [];
+    for (const config of job.configs) {
+      results.push(await scoreTuneConfig(config, ctx));
+      job.progress.done++;
+    }
+
+    const rankBy = job.request.rankBy;
+    const scored = results.filter(r => r.metrics);
+    const rankOf = (metric) => {
+      const order = [...scored].sort((a, b) => a.metrics[metric] - b.metrics[metric]);
+      order.forEach((r, i) => { r.ranks = { ...(r.ranks || {}), [metric]: i + 1 }; });
+      return order;
+    };
+    const byOneXtwo = rankOf("oneXtwo");
+    const byTotals = rankOf("totals");
+    const byCombined = rankOf("combined");
+    const table = rankBy === "oneXtwo" ? byOneXtwo : rankBy === "totals" ? byTotals : byCombined;
+
+    job.result = {
+      rankBy,
+      best: table[0] || null,
+      bestBy: { oneXtwo: byOneXtwo[0] || null, totals: byTotals[0] || null, combined: byCombined[0] || null },
+      current: job.current,
+      results: table.concat(results.filter(r => !r.metrics))
+    };
+    job.status = "done";
+  } catch (e) {
+    job.status = "failed";
+    job.error = e?.message || String(e);
+  }
+  job.finishedAt = new Date().toISOString();
+}
+
+function enqueueTuneJob(job) {
+  tuneJobs.byId.set(job.id, job);
+  // forget the oldest finished jobs
+  const finished = [...tuneJobs.byId.values()].filter(j => j.status === "done" || j.status === "failed");
+  while (tuneJobs.byId.size > TUNE_MAX_JOBS && finished.length) tuneJobs.byId.delete(finished.shift().id);
+
+  tuneJobs.queue = tuneJobs.queue.then(() => runTuneJob(job));
+}
+
+function tuneJobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    request: job.request,
+    seasons: job.seasons || null,
+    progress: job.progress,
+    error: job.error || null,
+    result: job.result || null
+  };
+}
+
+// ------------------- BET LEDGER (PLACED BETS, AUTO-SETTLED) -------------------
+// One JSON file ({ bets: [...] }) at BETS_FILE. All reads/writes go through one promise chain,
+// so a settlement pass triggered by a feed refresh never interleaves with a POST/DELETE.
+
+// JSON file holding { [listKey]: [...] }, loaded lazily into a Map by id (idKey) and written tmp + rename.
+// with(fn): fn(byId) -> { result, changed }; persisted when changed
+function createJsonFileStore(file, listKey, idKey, tag) {
+  const store = { byId: null, queue: Promise.resolve() };
+
+  async function read() {
+    try {
+      const json = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      return Array.isArray(json?.[listKey]) ? json[listKey] : [];
+    } catch (e) {
+      if (e?.code !== "ENOENT") console.warn(`[${tag}] unreadable ${file}: ${e?.message || e}`);
+      return [];
+    }
+  }
+
+  async function write(items) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ [listKey]: items }, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  store.with = (fn) => {
+    const run = store.queue.then(async () => {
+      if (!store.byId) store.byId = new Map((await read()).map(x => [x[idKey], x]));
+      const { result, changed } = await fn(store.byId);
+      if (changed) await write([...store.byId.values()]);
+      return result;
+    });
+    store.queue = run.catch(() => {});
+    return run;
+  };
+  return store;
+}
+
+const betLedger = createJsonFileStore(BETS_FILE, "bets", "id", "bets");
+
+const BET_MARKETS = {
+  "1x2": { market: "1x2" },
+  "ou": { market: "totals" },
+  "totals": { market: "totals" },
+  "ou25": { market: "totals", line: 2.5 },
+  "ou35": { market: "totals", line: 3.5 },
+  "btts": { market: "btts" },
+  "ah": { market: "ah" },
+  "cs": { market: "correctScore" },
+  "correctscore": { market: "correctScore" }
+};
+const BET_SELECTIONS = {
+  "1x2": { h: "H", home: "H", "1": "H", d: "D", draw: "D", x: "D", a: "A", away: "A", "2": "A" },
+  totals: { over: "over", o: "over", under: "under", u: "under" },
+  btts: { yes: "yes", y: "yes", no: "no", n: "no" },
+  ah: { home: "home", h: "home", away: "away", a: "away" }
+};
+const BET_STATUS_BY_SETTLE = { "1": "won", "0.5": "half_won", "0": "push", "-0.5": "half_lost", "-1": "lost" };
+
+// fn(byId) -> { result, changed }; persisted when changed
+function withLedger(fn) {
+  return betLedger.with(fn);
+}
+
+// body -> { spec: { market, selection, line } } | { error }
+function parseBetSpec(body) {
+  const key = String(body.market || "").toLowerCase();
+  const alias = Object.hasOwn(BET_MARKETS, key) ? BET_MARKETS[key] : null;
+  if (!alias) return { error: `market must be one of ${Object.keys(BET_MARKETS).join(", ")}` };
+  const market = alias.market;
+  const raw = String(body.selection ?? "").trim().toLowerCase();
+
+  let selection;
+  if (market === "correctScore") {
+    const m = raw.match(/^(\d+)\s*[-:]\s*(\d+)$/);
+    if (!m) return { error: `correctScore selection must look like "2-1"` };
+    selection = `${Number(m[1])}-${Number(m[2])}`;
+  } else {
+    selection = Object.hasOwn(BET_SELECTIONS[market], raw) ? BET_SELECTIONS[market][raw] : null;
+    if (!selection) return { error: `${market} selection must be one of ${[...new Set(Object.values(BET_SELECTIONS[market]))].join(", ")}` };
+  }
+
+  let line = null;
+  if (market === "totals" || market === "ah") {
+    line = alias.line ?? Number(body.line);
+    if (!Number.isFinite(line) || !Number.isInteger(line * 4)) return { error: `${market} needs a quarter-grid line (e.g. 2.5, -0.75)` };
+  }
+  return { spec: { market, selection, line } };
+}
+
+// per-unit settlement: 1 win, 0.5 half-win, 0 push, -0.5 half-loss, -1 loss
+function settleBet(spec, hg, ag) {
+  switch (spec.market) {
+    case "1x2": return (hg > ag ? "H" : hg === ag ? "D" : "A") === spec.selection ? 1 : -1;
+    case "totals": return settleTotal(hg + ag, spec.line, spec.selection);
+    case "btts": return ((hg > 0 && ag > 0) === (spec.selection === "yes")) ? 1 : -1;
+    case "ah": return settleAH(hg - ag, spec.line, spec.selection);
+    case "correctScore": return `${hg}-${ag}` === spec.selection ? 1 : -1;
+    default: throw new Error(`cannot settle market "${spec.market}"`);
+  }
+}
+
+function betPnl(bet, settle) {
+  return settle > 0 ? bet.stake * settle * (bet.odds - 1) * (1 - bet.commission) : bet.stake * settle;
+}
+
+// model view of a selection: settlement distribution from the score grid (OU2.5/3.5 calibrated)
+function betModelDist(probs, spec) {
+  if (spec.market === "totals") return totalsFromGrid(probs.grid, [spec.line], probs)[0][spec.selection];
+  if (spec.market === "1x2") {
+    const p = probs.p1x2[spec.selection];
+    return { win: p, halfWin: 0, push: 0, halfLoss: 0, loss: 1 - p };
+  }
+  return settleDist(probs.grid, (hg, ag) => settleBet(spec, hg, ag));
+}
+
+// settle every open bet whose fixture now has a final score; returns the bets it settled
+function settleOpenBets(byId, matchesByFixture) {
+  const settled = [];
+  for (const bet of byId.values()) {
+    if (bet.status !== "open") continue;
+    const m = matchesByFixture.get(bet.fixtureId);
+    if (!m || m.hg == null || m.ag == null) continue;
+    const settle = settleBet(bet, m.hg, m.ag);
+    bet.status = BET_STATUS_BY_SETTLE[String(settle)];
+    bet.settle = settle;
+    bet.result = { hg: m.hg, ag: m.ag };
+    bet.pnl = betPnl(bet, settle);
+    bet.settledAt = new Date().toISOString();
+    settled.push(bet);
+  }
+  return settled;
+}
+
+// never fails the caller
+async function settleBetsFromMatches(all) {
+  try {
+    const byFixture = new Map(all.map(m => [fixtureIdOf(m), m]));
+    await withLedger(byId => {
+      const settled = settleOpenBets(byId, byFixture);
+      return { result: settled, changed: settled.length > 0 };
+    });
+  } catch (e) {
+    console.warn(`[bets] settlement pass failed: ${e?.message || e}`);
+  }
+}
+
+// a refreshed feed settles the open bets on its fixtures (reads never settle on their own)
+function settleBetsForFeed(url) {
+  const rows = feedCache.byUrl.get(url)?.data || [];
+  const matches = [];
+  for (const c of COMPETITIONS) {
+    for (const s of c.seasons) {
+      if (s.url === url) for (const r of rows) matches.push({ ...rowToUnified(r, s.season), competition: c.id });
+    }
+  }
+  if (matches.length) settleBetsFromMatches(matches);
+}
+
+onDataRefresh((kind, key) => {
+  if (kind === "feed") settleBetsForFeed(key);
+});
+
+function summarizeBets(bets) {
+  const sum = (xs, f) => xs.reduce((a, x) => a + f(x), 0);
+  const settled = bets.filter(b => b.status !== "open");
+  const block = (xs) => {
+    const done = xs.filter(b => b.status !== "open");
+    const staked = sum(done, b => b.stake);
+    const pnl = sum(done, b => b.pnl);
+    const withModel = done.filter(b => b.model?.ev != null);
+    return {
+      bets: xs.length,
+      open: xs.length - done.length,
+      openStake: sum(xs.filter(b => b.status === "open"), b => b.stake),
+      settled: done.length,
+      staked,
+      pnl,
+      roi: staked ? pnl / staked : null,
+      expectedPnl: withModel.length ? sum(withModel, b => b.stake * b.model.ev) : null
+    };
+  };
+
+  // model probability at placement vs outcome, on bets that resolved as a (half-)win or (half-)loss
+  const decided = settled.filter(b => b.settle !== 0 && b.model?.p != null);
+  const ys = decided.map(b => (b.settle > 0 ? 1 : 0));
+  const ps = decided.map(b => b.model.p);
+  const implied = decided.map(b => 1 / b.odds);
+  const mean = xs => (xs.length ? xs.reduce((a, x) => a + x, 0) / xs.length : null);
+  const brier = pp => (pp.length ? mean(pp.map((p, i) => (p - ys[i]) ** 2)) : null);
+
+  const bins = [];
+  for (let i = 0; i < 10; i++) {
+    const idx = ps.map((p, j) => j).filter(j => Math.min(9, Math.floor(ps[j] * 10)) === i);
+    if (!idx.length) continue;
+    bins.push({ from: i / 10, to: (i + 1) / 10, n: idx.length, meanP: mean(idx.map(j => ps[j])), hitRate: mean(idx.map(j => ys[j])) });
+  }
+
+  const byMarket = {};
+  for (const mk of [...new Set(bets.map(b => b.market))]) byMarket[mk] = block(bets.filter(b => b.market === mk));
+  const byStatus = {};
+  for (const b of bets) byStatus[b.status] = (byStatus[b.status] || 0) + 1;
+
+  return {
+    ...block(bets),
+    byStatus,
+    byMarket,
+    modelVsOutcome: {
+      n: decided.length,
+      meanModelP: mean(ps),
+      meanImpliedP: mean(implied),
+      hitRate: mean(ys),
+      brier: brier(ps),
+      brierImplied: brier(implied),
+      logloss: decided.length ? loglossBinary(ps, ys) : null,
+      bins
+    }
+  };
+}
+
+// ------------------- CLOSING-LINE VALUE (CLV) -------------------
+// clv = odds taken / closing odds - 1 (closing = best price at kickoff from the snapshot history).
+// clvEv = no-vig closing probability * odds taken - 1, when the closing market has every selection.
+// Only the markets the odds store carries can be scored: 1X2, OU2.5, OU3.5.
+// Recommendations are logged off the request path: after odds or model refreshes, every upcoming
+// market-priced fixture is priced with the default model (as a default /api/value would show it) and each
+// positive-EV pick keeps the first time and price it appeared. The newest RECOMMENDATION_LOG_MAX are kept.
+const CLV_DAY_BUCKETS = [[0, 1], [1, 2], [2, 3], [3, 7], [7, 14], [14, Infinity]];
+const RECOMMENDATION_LOG_MAX = 20000;
+
+const recommendationLog = createJsonFileStore(RECOMMENDATIONS_FILE, "recommendations", "key", "clv");
+let recommendationRun = null; // in-flight logging pass
+let recommendationTimer = null; // pending debounced pass
+let recommendationErrors = new Map(); // competition -> last logged error
+
+// (market, selection, line) in ledger or /api/value terms -> odds store key { mk, sel } | null
+function clvSelection(market, selection, line = null) {
+  if (market === "1x2" && ["H", "D", "A"].includes(selection)) return { mk: "1x2", sel: selection };
+  if (market === "ou25" || market === "ou35") return ["over", "under"].includes(selection) ? { mk: market, sel: selection } : null;
+  if (market === "totals" && ["over", "under"].includes(selection)) {
+    if (line === 2.5) return { mk: "ou25", sel: selection };
+    if (line === 3.5) return { mk: "ou35", sel: selection };
+  }
+  return null;
+}
+
+function noVigProb(odds, sel) {
+  const prices = Object.values(odds);
+  if (prices.some(x => x == null)) return null;
+  const book = prices.reduce((a, x) => a + 1 / x, 0);
+  return (1 / odds[sel]) / book;
+}
+
+// { fixtureId, market, selection, line, odds } -> { status: closed|pending|no_closing_price|unsupported, ... }
+function clvFor(store, item, bookmaker = null, now = Date.now()) {
+  const key = clvSelection(item.market, item.selection, item.line);
+  if (!key) return { status: "unsupported", closingOdds: null, closingBookmaker: null, clv: null, closingFairP: null, clvEv: null };
+
+  const closing = closingOddsFor(store, item.fixtureId, bookmaker, now);
+  const block = closing?.[key.mk];
+  const price = block?.odds[key.sel] ?? null;
+  if (price == null) {
+    const kicked = Date.parse(String(item.fixtureId).split("|")[0]) <= now;
+    return { status: kicked ? "no_closing_price" : "pending", closingOdds: null, closingBookmaker: null, clv: null, closingFairP: null, clvEv: null };
+  }
+
+  const fair = noVigProb(block.odds, key.sel);
+  return {
+    status: "closed",
+    closingOdds: price,
+    closingBookmaker: block.bookmakers[key.sel],
+    clv: item.odds / price - 1,
+    closingFairP: fair,
+    clvEv: fair != null ? fair * item.odds - 1 : null
+  };
+}
+
+function daysBeforeKickoff(kickoffISO, takenAt) {
+  return (Date.parse(kickoffISO) - Date.parse(takenAt)) / (24 * 3600 * 1000);
+}
+
+// taken after kickoff (a bet placed in-play, say) or with no usable time: buckets of their own
+function dayBucketLabel(days) {
+  if (!Number.isFinite(days)) return "unknown";
+  if (days < 0) return "after_kickoff";
+  const [from, to] = CLV_DAY_BUCKETS.find(([a, b]) => days >= a && days < b);
+  return to === Infinity ? `${from}d+` : `${from}-${to}d`;
+}
+
+const CLV_DAY_BUCKET_LABELS = [...CLV_DAY_BUCKETS.map(([a]) => dayBucketLabel(a)), "after_kickoff", "unknown"];
+
+// market-priced /api/value selections with positive EV (and passing min_p / min_ev), first seen only
+function valueRecommendations(comp, modelId, m, minP, minEv) {
+  const out = [];
+  const add = (market, selection, p, odds, bookmaker) => {
+    if (p == null || odds == null || p < minP) return;
+    const ev = p * (odds - 1) * (1 - COMMISSION) - (1 - p);
+    if (ev <= 0 || ev < minEv) return;
+    out.push({
+      key: `${m.fixtureId}|${market}|${selection}`,
+      competition: comp.id,
+      fixtureId: m.fixtureId,
+      kickoffISO: m.kickoffISO,
+      home: m.home,
+      away: m.away,
+      market,
+      selection,
+      odds,
+      bookmaker,
+      p,
+      ev,
+      modelId
+    });
+  };
+
+  const x12 = m.markets["1x2"];
+  if (x12.oddsSource === "market") {
+    for (const sel of ["H", "D", "A"]) add("1x2", sel, x12.probs[sel], x12.odds[sel], x12.bookmakers[sel]);
+  }
+  for (const mk of ["ou25", "ou35"]) {
+    const b = m.markets[mk];
+    if (b.oddsSource !== "market") continue;
+    add(mk, "over", b.probOver, b.oddsOver, b.bookmakers.over);
+    add(mk, "under", 1 - b.probOver, b.oddsUnder, b.bookmakers.under);
+  }
+  return out;
+}
+
+// keeps the first time (and price) each selection was recommended; oldest kickoffs go past RECOMMENDATION_LOG_MAX
+async function recordRecommendations(recs, now = new Date()) {
+  return recommendationLog.with(byKey => {
+    let changed = false;
+    for (const r of recs) {
+      if (byKey.has(r.key)) continue;
+      byKey.set(r.key, { ...r, recommendedAt: now.toISOString() });
+      changed = true;
+    }
+    const excess = byKey.size - RECOMMENDATION_LOG_MAX;
+    if (excess > 0) {
+      const oldest = [...byKey.values()].sort((a, b) => (a.kickoffISO < b.kickoffISO ? -1 : a.kickoffISO > b.kickoffISO ? 1 : 0));
+      for (const r of oldest.slice(0, excess)) byKey.delete(r.key);
+      changed = true;
+    }
+    return { result: null, changed };
+  });
+}
+
+// one pass over every competition's upcoming fixtures that have market odds; never fails the caller
+async function logValueRecommendations(now = new Date()) {
+  const oddsStore = await loadOddsStore();
+  const recs = [];
+  for (const comp of COMPETITIONS) {
+    try {
+      const all = await loadAllSeasonsUnified(comp.id);
+      const upcoming = all.filter(m => m.season === currentSeasonOf(comp) && m.kickoffISO &&
+        Date.parse(m.kickoffISO) > now.getTime() && oddsStore.byFixture.has(fixtureIdOf(m)));
+      if (upcoming.length) {
+        const model = await getDefaultModel(DEFAULT_MODEL_FAMILY, comp.id);
+        for (const m of upcoming) {
+          const view = valueMatchView(comp, model, m, oddsStore);
+          if (view.model?.okSample !== true) continue;
+          recs.push(...valueRecommendations(comp, model?.artifactId || null, view, 0, 0));
+        }
+      }
+      if (recommendationErrors.delete(comp.id)) console.log(`[clv] ${comp.id}: recommendation pass ok again`);
+    } catch (e) {
+      const error = e?.message || String(e);
+      if (recommendationErrors.get(comp.id) !== error) console.warn(`[clv] ${comp.id}: recommendation pass failed: ${error}`);
+      recommendationErrors.set(comp.id, error);
+    }
+  }
+  await recordRecommendations(recs, now);
+}
+
+function scheduleRecommendationLog() {
+  if (recommendationRun || recommendationTimer) return;
+  recommendationTimer = setTimeout(() => {
+    recommendationTimer = null;
+    recommendationRun = logValueRecommendations()
+      .catch(e => console.warn(`[clv] recommendation pass failed: ${e?.message || e}`))
+      .finally(() => { recommendationRun = null; });
+  }, ALERT_DEBOUNCE_MS);
+  recommendationTimer.unref();
+}
+
+onDataRefresh(kind => {
+  if (kind === "odds" || kind === "model") scheduleRecommendationLog();
+});
+
+// items: [{ source, market (clv key), takenAt, kickoffISO, clv: clvFor(...) }]
+function summarizeClv(items) {
+  const mean = xs => (xs.length ? xs.reduce((a, x) => a + x, 0) / xs.length : null);
+  const block = (xs) => {
+    const closed = xs.filter(x => x.clv.status === "closed");
+    const clvs = closed.map(x => x.clv.clv).sort((a, b) => a - b);
+    const evs = closed.filter(x => x.clv.clvEv != null).map(x => x.clv.clvEv);
+    const count = (st) => xs.filter(x => x.clv.status === st).length;
+    return {
+      n: xs.length,
+      closed: closed.length,
+      pending: count("pending"),
+      noClosingPrice: count("no_closing_price"),
+      unsupported: count("unsupported"),
+      meanClv: mean(clvs),
+      medianClv: clvs.length ? quantileSorted(clvs, 0.5) : null,
+      beatCloseRate: clvs.length ? clvs.filter(x => x > 0).length / clvs.length : null,
+      meanClvEv: mean(evs)
+    };
+  };
+  const groupBy = (f, order = null) => {
+    const out = {};
+    const keys = order || [...new Set(items.map(f))].sort();
+    for (const k of keys) {
+      const xs = items.filter(x => f(x) === k);
+      if (xs.length) out[k] = block(xs);
+    }
+    return out;
+  };
+
+  return {
+    ...block(items),
+    bySource: groupBy(x => x.source),
+    byMarket: groupBy(x => x.market),
+    byDaysBeforeKickoff: groupBy(x => dayBucketLabel(daysBeforeKickoff(x.kickoffISO, x.takenAt)), CLV_DAY_BUCKET_LABELS)
+  };
+}
+
+// ------------------- FORECAST ARCHIVE (FROZEN PRE-MATCH FORECASTS) -------------------
+// Every upcoming fixture gets one frozen matchProbs snapshot per horizon (FORECAST_HORIZONS_HOURS before
+// kickoff) and per family in FORECAST_FAMILIES, with the market prices seen at that moment. A horizon is
+// due while kickoff is within it and the next shorter horizon has not started, so a late check still
+// freezes the right horizon but never back-fills a missed one. Scored later exactly like /api/backtest.
+// A forecast whose fixtureId left its (loaded) season feed was rescheduled or dropped: it is pruned, and the
+// fixture is frozen again at its new kickoff's horizons. Pass errors are logged once per change.
+const forecastArchive = createJsonFileStore(FORECASTS_FILE, "forecasts", "id", "forecasts");
+let forecastRun = null; // in-flight snapshot pass (timer and POST share it)
+let forecastErrors = new Map(); // `${competition}|${family}` -> last logged error
+
+const badForecastFamily = FORECAST_FAMILIES.find(f => !Object.hasOwn(MODEL_FAMILIES, f));
+if (badForecastFamily) {
+  throw new Error(`FORECAST_FAMILIES: unknown model family "${badForecastFamily}" (known: ${Object.keys(MODEL_FAMILIES).join(", ")})`);
+}
+
+// hours before kickoff -> the horizon due now (smallest horizon still >= hoursBefore), or null
+function dueHorizon(hoursBefore, horizons = FORECAST_HORIZONS_HOURS) {
+  if (!(hoursBefore > 0)) return null;
+  const h = horizons.filter(x => x >= hoursBefore);
+  return h.length ? Math.min(...h) : null;
+}
+
+function freezeForecast({ comp, family, model, m, horizon, now, oddsStore }) {
+  const fixtureId = fixtureIdOf(m);
+  const probs = matchProbs(model, m.home, m.away);
+  const real = marketOddsFor(oddsStore, fixtureId);
+  return {
+    id: `${comp.id}|${family}|${fixtureId}|${horizon}h`,
+    competition: comp.id,
+    family,
+    fixtureId,
+    kickoffISO: m.kickoffISO,
+    season: m.season,
+    round: m.round,
+    home: m.home,
+    away: m.away,
+    horizonHours: horizon,
+    takenAt: now.toISOString(),
+    hoursBefore: (Date.parse(m.kickoffISO) - now.getTime()) / 3600000,
+    model: { id: model?.artifactId || null, label: model ? modelLabel(model) : null, calibrationMethod: model?.calibrationMethod || null },
+    muH: probs.muH,
+    muA: probs.muA,
+    okSample: probs.okSample,
+    p1x2: probs.p1x2,
+    p1x2_raw: probs.p1x2_raw,
+    pOver25: probs.pOver25,
+    pOver25_raw: probs.pOver25_raw,
+    pOver35: probs.pOver35,
+    pOver35_raw: probs.pOver35_raw,
+    pBtts: bttsFromGrid(probs.grid).yes,
+    odds: {
+      "1x2": real?.["1x2"].complete ? real["1x2"].odds : null,
+      ou25: real?.ou25.complete ? real.ou25.odds : null,
+      ou35: real?.ou35.complete ? real.ou35.odds : null
+    }
+  };
+}
+
+// one pass over every competition's upcoming fixtures; never fails the caller
+async function snapshotForecasts(now = new Date()) {
+  const taken = [];
+  const pruned = [];
+  const errors = [];
+  const ok = new Set(); // error keys that ran cleanly this pass
+  const archived = await forecastArchive.with(byId => ({ result: [...byId.values()], changed: false }));
+  const existing = new Set(archived.map(f => f.id));
+  const oddsStore = await loadOddsStore();
+
+  for (const comp of COMPETITIONS) {
+    try {
+      const all = await loadAllSeasonsUnified(comp.id);
+      ok.add(`${comp.id}|`);
+      const ids = new Set(all.map(fixtureIdOf));
+      const seasons = new Set(all.map(m => m.season));
+      for (const f of archived) {
+        if (f.competition === comp.id && seasons.has(f.season) && !ids.has(f.fixtureId)) pruned.push(f.id);
+      }
+
+      const due = all
+        .filter(m => m.season === currentSeasonOf(comp) && m.kickoffISO && m.home !== "TBD" && m.away !== "TBD" && !isPlayed(m))
+        .map(m => ({ m, horizon: dueHorizon((Date.parse(m.kickoffISO) - now.getTime()) / 3600000) }))
+        .filter(x => x.horizon != null);
+      if (!due.length) continue;
+
+      for (const family of FORECAST_FAMILIES) {
+        const pending = due.filter(x => !existing.has(`${comp.id}|${family}|${fixtureIdOf(x.m)}|${x.horizon}h`));
+        if (!pending.length) continue;
+        const { model, error } = await resolveRequestModel({ query: { competition: comp.id, model: family } });
+        if (error) { errors.push({ competition: comp.id, family, error: error.body.error }); continue; }
+        ok.add(`${comp.id}|${family}`);
+        for (const { m, horizon } of pending) taken.push(freezeForecast({ comp, family, model, m, horizon, now, oddsStore }));
+      }
+    } catch (e) {
+      errors.push({ competition: comp.id, error: e?.message || String(e) });
+    }
+  }
+
+  if (taken.length || pruned.length) {
+    await forecastArchive.with(byId => {
+      for (const id of pruned) byId.delete(id);
+      for (const f of taken) if (!byId.has(f.id)) byId.set(f.id, f);
+      return { result: null, changed: true };
+    });
+  }
+  if (pruned.length) console.log(`[forecasts] pruned ${pruned.length} forecasts of fixtures no longer in their feed (rescheduled?)`);
+
+  for (const e of errors) {
+    const key = `${e.competition}|${e.family || ""}`;
+    if (forecastErrors.get(key) !== e.error) console.warn(`[forecasts] ${e.competition}${e.family ? ` ${e.family}` : ""}: ${e.error}`);
+    forecastErrors.set(key, e.error);
+  }
+  for (const key of ok) {
+    if (forecastErrors.delete(key)) console.log(`[forecasts] ${key.replace(/\|$/, "").replace("|", " ")}: ok again`);
+  }
+  return { checkedAt: now.toISOString(), horizons: FORECAST_HORIZONS_HOURS, taken: taken.map(f => f.id), pruned, errors };
+}
+
+function runForecastSnapshots() {
+  if (!forecastRun) forecastRun = snapshotForecasts().finally(() => { forecastRun = null; });
+  return forecastRun;
+}
+
+function startForecastArchive() {
+  if (!FORECAST_CHECK_MINUTES || !FORECAST_HORIZONS_HOURS.length) return;
+  const tick = () => runForecastSnapshots().catch(e => console.warn(`[forecasts] snapshot pass failed: ${e?.message || e}`));
+  setTimeout(tick, 5000).unref();
+  setInterval(tick, FORECAST_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+// frozen forecast + final score -> a backtest-shaped match record (same losses, baselines and bet rule)
+function scoreFrozenForecast(f, m, baseline, { minEv, minP, odds: fixed }) {
+  const yH = m.hg > m.ag ? 1 : 0, yD = m.hg === m.ag ? 1 : 0, yA = m.hg < m.ag ? 1 : 0;
+  const y25 = m.hg + m.ag >= 3 ? 1 : 0, y35 = m.hg + m.ag >= 4 ? 1 : 0;
+  const p = f.p1x2;
+  const top = [{ k: "H", v: p.H }, { k: "D", v: p.D }, { k: "A", v: p.A }].sort((a, b) => b.v - a.v)[0];
+  const topRaw = ["H", "D", "A"].sort((a, b) => f.p1x2_raw[b] - f.p1x2_raw[a])[0];
+  const ys = { H: yH, D: yD, A: yA };
+
+  const src = {
+    "1x2": f.odds?.["1x2"] ? "market" : "fixed",
+    ou25: f.odds?.ou25 ? "market" : "fixed",
+    ou35: f.odds?.ou35 ? "market" : "fixed"
+  };
+  const odds1x2 = f.odds?.["1x2"] || fixed.oneXtwo;
+  const bets = [];
+  const consider = (market, selection, pSel, price, win) => {
+    if (price == null || pSel < minP || backEvOf(pSel, price) < minEv) return;
+    const b = { market, selection, side: "back", p: pSel, odds: price, win };
+    bets.push({ ...b, liability: betLiability1u(b), profit: betProfit1u(b) });
+  };
+  consider("oneXtwo", top.k, top.v, odds1x2[top.k], ys[top.k] === 1);
+  consider("ou25", "over", f.pOver25, f.odds?.ou25?.over ?? fixed.ou25_over, y25 === 1);
+  consider("ou35", "over", f.pOver35, f.odds?.ou35?.over ?? fixed.ou35_over, y35 === 1);
+
+  return {
+    id: f.id,
+    fixtureId: f.fixtureId,
+    kickoffISO: f.kickoffISO,
+    season: f.season,
+    home: f.home,
+    away: f.away,
+    family: f.family,
+    horizonHours: f.horizonHours,
+    hoursBefore: f.hoursBefore,
+    takenAt: f.takenAt,
+    modelId: f.model?.id || null,
+    hg: m.hg,
+    ag: m.ag,
+    result: yH ? "H" : yD ? "D" : "A",
+    topPick: { selection: top.k, p: top.v, hit: ys[top.k] === 1 },
+    topPickRaw: { selection: topRaw, p: f.p1x2_raw[topRaw], hit: ys[topRaw] === 1 },
+    p1x2: p,
+    pOver25: f.pOver25,
+    pOver25_raw: f.pOver25_raw,
+    pOver35: f.pOver35,
+    pOver35_raw: f.pOver35_raw,
+    y25,
+    y35,
+    oddsSource: src,
+    logloss: { oneXtwo: logloss1x2(p, yH, yD, yA), ou25: loglossBinaryP(f.pOver25, y25), ou35: loglossBinaryP(f.pOver35, y35) },
+    brier: {
+      oneXtwo: (p.H - yH) ** 2 + (p.D - yD) ** 2 + (p.A - yA) ** 2,
+      ou25: (f.pOver25 - y25) ** 2,
+      ou35: (f.pOver35 - y35) ** 2
+    },
+    baselineLogloss: {
+      oneXtwo: logloss1x2(baseline.p1x2, yH, yD, yA),
+      ou25: loglossBinaryP(baseline.pOver25, y25),
+      ou35: loglossBinaryP(baseline.pOver35, y35)
+    },
+    bets,
+    profit: bets.reduce((a, b) => a + b.profit, 0)
+  };
+}
+
+// scored records -> the /api/backtest summary + calibration shape
+function summarizeFrozenForecasts(records) {
+  const n = records.length;
+  const mean = (f) => (n ? records.reduce((a, r) => a + f(r), 0) / n : null);
+  const roiOf = (mk) => {
+    const bets = records.flatMap(r => r.bets).filter(b => !mk || b.market === mk);
+    const x = {
+      bets: bets.length,
+      wins: bets.filter(b => b.win).length,
+      profit: bets.reduce((a, b) => a + b.profit, 0),
+      liability: bets.reduce((a, b) => a + b.liability, 0)
+    };
+    return {
+      ...x,
+      roi: x.bets ? x.profit / x.bets : null,
+      roiOnLiability: x.liability ? x.profit / x.liability : null,
+      winRate: x.bets ? x.wins / x.bets : null
+    };
+  };
+  const bins = (pOf, yOf) => Array.from({ length: 10 }, (_, i) => {
+    const xs = records.filter(r => clamp(Math.floor(pOf(r) * 10), 0, 9) === i);
+    return {
+      bin: i,
+      n: xs.length,
+      pAvg: xs.length ? xs.reduce((a, r) => a + pOf(r), 0) / xs.length : null,
+      yAvg: xs.length ? xs.reduce((a, r) => a + yOf(r), 0) / xs.length : null
+    };
+  });
+  const market = (mk, extra = {}) => ({ ...extra, brier: mean(r => r.brier[mk]), logloss: mean(r => r.logloss[mk]), roi: roiOf(mk) });
+
+  return {
+    summary: {
+      matches: n,
+      oneXtwo: market("oneXtwo", { topPickAcc: mean(r => (r.topPick.hit ? 1 : 0)) }),
+      ou25: market("ou25"),
+      ou35: market("ou35"),
+      combined: roiOf(null),
+      baseline: {
+        oneXtwo_logloss: mean(r => r.baselineLogloss.oneXtwo),
+        ou25_logloss: mean(r => r.baselineLogloss.ou25),
+        ou35_logloss: mean(r => r.baselineLogloss.ou35)
+      },
+      deltaLogloss: {
+        oneXtwo: n ? mean(r => r.logloss.oneXtwo - r.baselineLogloss.oneXtwo) : null,
+        ou25: n ? mean(r => r.logloss.ou25 - r.baselineLogloss.ou25) : null,
+        ou35: n ? mean(r => r.logloss.ou35 - r.baselineLogloss.ou35) : null
+      }
+    },
+    calibration: {
+      oneXtwoTop: bins(r => r.topPick.p, r => (r.topPick.hit ? 1 : 0)),
+      oneXtwoTop_raw: bins(r => r.topPickRaw.p, r => (r.topPickRaw.hit ? 1 : 0)),
+      ou25_raw: bins(r => r.pOver25_raw, r => r.y25),
+      ou25_cal: bins(r => r.pOver25, r => r.y25),
+      ou35_raw: bins(r => r.pOver35_raw, r => r.y35),
+      ou35_cal: bins(r => r.pOver35, r => r.y35)
+    }
+  };
+}
+
+// ------------------- VALUE ALERTS (OUTGOING WEBHOOKS) -------------------
+// A subscription is a saved /api/value filter (min_ev, min_p, markets, teams, days, sides) plus a webhook
+// URL. Every check prices each subscription's upcoming fixtures exactly like /api/value and remembers the
+// last EV of every selection it saw. A selection triggers when it qualifies for the first time ("new") or
+// qualifies again after being seen below the threshold ("threshold_crossed"); while it keeps qualifying it
+// is not sent again. One signed POST per subscription per check, retried with backoff, every attempt logged.
+// Only selections priced from ingested market odds alert (never synthetic or back + spread lay prices), and
+// webhooks may not point at private addresses unless their host is listed in ALERT_URL_ALLOW.
+const alertSubscriptions = createJsonFileStore(ALERTS_FILE, "alerts", "id", "alerts");
+const alertDeliveries = createJsonFileStore(ALERT_DELIVERIES_FILE, "deliveries", "id", "alerts");
+let alertRun = null; // in-flight check (timer, refreshes and POST /api/alerts/check share it)
+let alertCheckTimer = null; // pending debounced check
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [a, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]) PRIVATE_ADDRESSES.addSubnet(a, bits, "ipv4");
+for (const [a, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) PRIVATE_ADDRESSES.addSubnet(a, bits, "ipv6");
+
+// (BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 addresses)
+function isPrivateAddress(ip) {
+  return PRIVATE_ADDRESSES.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+}
+
+// webhook URL -> null when it may be called, else the reason (checked on subscribe and before every attempt)
+async function alertUrlError(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (ALERT_URL_ALLOW.includes(host)) return null;
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+  } catch (e) {
+    return `cannot resolve webhook host "${host}": ${e?.code || e?.message || e}`;
+  }
+  const bad = addresses.find(isPrivateAddress);
+  return bad ? `webhook host "${host}" is a private address (${bad}); list it in ALERT_URL_ALLOW to allow it` : null;
+}
+
+function parseListParam(v) {
+  if (v == null || v === "") return [];
+  return (Array.isArray(v) ? v : String(v).split(",")).map(x => String(x).trim()).filter(Boolean);
+}
+
+// request body -> { alert } or { error } (error is the 400 body)
+async function parseAlertSubscription(body) {
+  const comp = getCompetition(body.competition);
+  if (!comp) return { error: unknownCompetitionError(body.competition) };
+  const family = resolveFamily(body.model);
+  if (!family) return { error: unknownFamilyError(body.model) };
+
+  let url;
+  try {
+    url = new URL(String(body.url || ""));
+  } catch (e) {
+    return { error: { error: "url must be an absolute http(s) webhook URL" } };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return { error: { error: "url must be an absolute http(s) webhook URL" } };
+  const urlError = await alertUrlError(url);
+  if (urlError) return { error: { error: urlError } };
+
+  const markets = parseListParam(body.markets);
+  const badMarket = markets.find(mk => !VALUE_SIDE_MARKETS.includes(mk));
+  if (badMarket) return { error: { error: `unknown market "${badMarket}"`, markets: VALUE_SIDE_MARKETS } };
+
+  const teams = [];
+  for (const raw of parseListParam(body.teams)) {
+    const t = resolveTeam(raw);
+    if (!t.known || t.id === "tbd") return { error: { error: `unknown team "${raw}"` } };
+    if (!teams.includes(t.id)) teams.push(t.id);
+  }
+
+  const sides = String(body.sides || "both");
+  if (!BET_SIDES.includes(sides)) return { error: { error: `sides must be one of ${BET_SIDES.join(", ")}` } };
+  if (body.secret != null && String(body.secret).length < 16) return { error: { error: "secret must be at least 16 characters" } };
+  const minEv = finiteParam(body.min_ev, 0, 0, 10);
+  const minP = finiteParam(body.min_p, 0, 0, 1);
+  const days = finiteParam(body.days, 14, 1, 90);
+  const numError = nonFiniteParamError({ min_ev: minEv, min_p: minP, days });
+  if (numError) return { error: numError };
+
+  return {
+    alert: {
+      id: `alert-${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+      createdAt: new Date().toISOString(),
+      name: body.name ? String(body.name) : null,
+      url: url.toString(),
+      secret: body.secret != null ? String(body.secret) : crypto.randomBytes(24).toString("hex"),
+      active: true,
+      competition: comp.id,
+      family,
+      filters: {
+        minEv,
+        minP,
+        markets: markets.length ? markets : VALUE_SIDE_MARKETS,
+        teams,
+        days,
+        sides,
+        bookmaker: body.bookmaker ? String(body.bookmaker) : null,
+        minSample: String(body.min_sample ?? "1") === "1"
+      },
+      seen: {},
+      lastCheckedAt: null,
+      lastAlertAt: null
+    }
+  };
+}
+
+// the secret is only shown once (POST response); seen is the dedupe state
+function publicAlert(a) {
+  const { secret, seen, ...rest } = a;
+  return { ...rest, tracking: Object.keys(seen || {}).length };
+}
+
+// every back/lay selection a subscription watches right now, with whether it qualifies
+async function alertSelections(sub, ctx, now) {
+  const key = `${sub.competition}|${sub.family}`;
+  if (!ctx.models.has(key)) {
+    const { model, error } = await resolveRequestModel({ query: { competition: sub.competition, model: sub.family } });
+    if (error) throw new Error(error.body.error);
+    ctx.models.set(key, model);
+  }
+  const model = ctx.models.get(key);
+  const comp = getCompetition(sub.competition);
+  const f = sub.filters;
+  const horizon = now.getTime() + f.days * 24 * 3600 * 1000;
+
+  const all = await loadAllSeasonsUnified(comp.id);
+  const upcoming = all.filter(m => m.season === currentSeasonOf(comp) && m.kickoffISO &&
+    Date.parse(m.kickoffISO) > now.getTime() && Date.parse(m.kickoffISO) <= horizon &&
+    (!f.teams.length || f.teams.includes(m.homeId) || f.teams.includes(m.awayId)));
+
+  const out = [];
+  for (const m of upcoming) {
+    const view = valueMatchView(comp, model, m, ctx.oddsStore, { bookmaker: f.bookmaker });
+    if (f.minSample && view.model?.okSample !== true) continue;
+    for (const x of valueSelections(view, f.markets)) {
+      if (x.oddsSource !== "market") continue; // no exchange or bookmaker offered a synthetic / spread price
+      if (f.sides !== "both" && x.side !== f.sides) continue;
+      if (x.p == null || !Number.isFinite(x.ev)) continue;
+      out.push({
+        key: `${view.fixtureId}|${x.market}|${x.selection}|${x.side}`,
+        fixtureId: view.fixtureId,
+        kickoffISO: view.kickoffISO,
+        home: view.home,
+        away: view.away,
+        ...x,
+        qualifies: x.ev > 0 && x.p >= f.minP && x.ev >= f.minEv
+      });
+    }
+  }
+  return { modelId: model?.artifactId || null, selections: out };
+}
+
+// previous dedupe state + current selections -> triggers and the next state (kicked-off fixtures dropped)
+function alertTriggers(seen, selections, now) {
+  const at = now.toISOString();
+  const next = {};
+  for (const [k, v] of Object.entries(seen)) if (Date.parse(v.kickoffISO) > now.getTime()) next[k] = v;
+
+  const triggers = [];
+  for (const x of selections) {
+    const prev = seen[x.key];
+    const fire = x.qualifies && !prev?.qualifies;
+    if (fire) {
+      const { key, qualifies, ...sel } = x;
+      triggers.push({ event: prev ? "threshold_crossed" : "new", ...sel, previousEv: prev?.ev ?? null });
+    }
+    next[x.key] = { kickoffISO: x.kickoffISO, ev: x.ev, qualifies: x.qualifies, alertedAt: fire ? at : prev?.alertedAt || null };
+  }
+  return { triggers, seen: next };
+}
+
+// "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`); receivers recompute it and check the timestamp
+function signAlertPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// newest ALERT_DELIVERY_LOG_MAX deliveries are kept
+async function saveAlertDelivery(delivery) {
+  await alertDeliveries.with(byId => {
+    byId.set(delivery.id, delivery);
+    const excess = byId.size - ALERT_DELIVERY_LOG_MAX;
+    if (excess > 0) {
+      const oldest = [...byId.values()].sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1)).slice(0, excess);
+      for (const d of oldest) byId.delete(d.id);
+    }
+    return { result: null, changed: true };
+  });
+}
+
+// POSTs until a 2xx, a non-retryable 4xx or ALERT_MAX_ATTEMPTS; never fails the caller
+async function deliverAlert(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  while (delivery.attempts.length < ALERT_MAX_ATTEMPTS) {
+    const n = delivery.attempts.length + 1;
+    if (n > 1) await new Promise(r => setTimeout(r, ALERT_RETRY_BASE_MS * 2 ** (n - 2)));
+
+    const sub = await alertSubscriptions.with(byId => ({ result: byId.get(delivery.alertId) || null, changed: false }));
+    if (!sub) {
+      delivery.status = "failed";
+      delivery.attempts.push({ n, at: new Date().toISOString(), status: null, ms: 0, error: "subscription deleted" });
+      break;
+    }
+
+    const started = Date.now();
+    const timestamp = String(Math.floor(started / 1000));
+    const attempt = { n, at: new Date(started).toISOString(), status: null, ms: null, error: null };
+    let retry = true;
+    try {
+      const urlError = await alertUrlError(new URL(delivery.url));
+      if (urlError) {
+        retry = false;
+        throw new Error(urlError);
+      }
+      const r = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "aleague-backend-alerts",
+          "x-alert-id": delivery.alertId,
+          "x-alert-delivery": delivery.id,
+          "x-alert-timestamp": timestamp,
+          "x-alert-signature": signAlertPayload(sub.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual", // a redirect could lead to a host alertUrlError would refuse
+        signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+      });
+      attempt.status = r.status;
+      if (r.ok) delivery.status = "delivered";
+      else {
+        attempt.error = `HTTP ${r.status}`;
+        retry = r.status >= 500 || r.status === 408 || r.status === 429;
+      }
+    } catch (e) {
+      attempt.error = e?.message || String(e);
+    }
+    attempt.ms = Date.now() - started;
+    delivery.attempts.push(attempt);
+    if (delivery.status === "delivered") break;
+    if (!retry || delivery.attempts.length >= ALERT_MAX_ATTEMPTS) delivery.status = "failed";
+    await saveAlertDelivery(delivery).catch(() => {});
+    if (delivery.status === "failed") break;
+  }
+
+  delivery.completedAt = new Date().toISOString();
+  if (delivery.status === "failed") {
+    console.warn(`[alerts] delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts.length} attempt(s): ${delivery.attempts.at(-1)?.error}`);
+  }
+  await saveAlertDelivery(delivery).catch(e => console.warn(`[alerts] could not log delivery ${delivery.id}: ${e?.message || e}`));
+  return delivery;
+}
+
+// one check over every active subscription; deliveries run in the background
+async function checkAlerts(reason, now = new Date()) {
+  const subs = await alertSubscriptions.with(byId => ({ result: [...byId.values()].filter(a => a.active), changed: false }));
+  const out = { checkedAt: now.toISOString(), reason, subscriptions: subs.length, triggered: 0, deliveries: [], errors: [] };
+  if (!subs.length) return out;
+
+  const ctx = { models: new Map(), oddsStore: await loadOddsStore() };
+  const evaluated = [];
+  for (const sub of subs) {
+    try {
+      evaluated.push({ id: sub.id, ...(await alertSelections(sub, ctx, now)) });
+    } catch (e) {
+      out.errors.push({ alertId: sub.id, error: e?.message || String(e) });
+    }
+  }
+
+  // dedupe against the stored state (a subscription deleted meanwhile is skipped)
+  const batches = await alertSubscriptions.with(byId => {
+    const fired = [];
+    for (const x of evaluated) {
+      const sub = byId.get(x.id);
+      if (!sub?.active) continue;
+      const { triggers, seen } = alertTriggers(sub.seen || {}, x.selections, now);
+      sub.seen = seen;
+      sub.lastCheckedAt = out.checkedAt;
+      if (triggers.length) {
+        sub.lastAlertAt = out.checkedAt;
+        fired.push({ sub, modelId: x.modelId, triggers });
+      }
+    }
+    return { result: fired, changed: evaluated.length > 0 };
+  });
+
+  for (const { sub, modelId, triggers } of batches) {
+    const id = `dlv-${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+    const delivery = {
+      id,
+      alertId: sub.id,
+      url: sub.url,
+      createdAt: new Date().toISOString(),
+      reason,
+      status: "pending",
+      alerts: triggers.length,
+      attempts: [],
+      completedAt: null,
+      payload: {
+        type: "value_alert",
+        deliveryId: id,
+        alertId: sub.id,
+        name: sub.name,
+        competition: sub.competition,
+        family: sub.family,
+        modelId,
+        checkedAt: out.checkedAt,
+        filters: sub.filters,
+        alerts: triggers
+      }
+    };
+    await saveAlertDelivery(delivery);
+    deliverAlert(delivery);
+    out.triggered += triggers.length;
+    out.deliveries.push({ id, alertId: sub.id, alerts: triggers.length });
+  }
+  for (const e of out.errors) console.warn(`[alerts] ${e.alertId}: ${e.error}`);
+  return out;
+}
+
+function runAlertCheck(reason) {
+  if (!alertRun) alertRun = checkAlerts(reason).finally(() => { alertRun = null; });
+  return alertRun;
+}
+
+// refreshes caused by a running check are its own inputs, so they do not queue another one
+function scheduleAlertCheck(reason) {
+  if (alertRun || alertCheckTimer) return;
+  alertCheckTimer = setTimeout(() => {
+    alertCheckTimer = null;
+    runAlertCheck(reason).catch(e => console.warn(`[alerts] check failed: ${e?.message || e}`));
+  }, ALERT_DEBOUNCE_MS);
+  alertCheckTimer.unref();
+}
+
+function startAlertChecker() {
+  onDataRefresh(kind => scheduleAlertCheck(`${kind}_refresh`));
+  if (ALERT_CHECK_MINUTES) {
+    setInterval(() => runAlertCheck("timer").catch(e => console.warn(`[alerts] check failed: ${e?.message || e}`)), ALERT_CHECK_MINUTES * 60 * 1000).unref();
+  }
+  // deliveries cut short by a restart pick up where their attempts stopped
+  alertDeliveries.with(byId => ({ result: [...byId.values()].filter(d => d.status === "pending"), changed: false }))
+    .then(pending => { for (const d of pending) deliverAlert(d); })
+    .catch(e => console.warn(`[alerts] could not resume deliveries: ${e?.message || e}`));
+}
+
+// ------------------- SEASON SIMULATION (MONTE CARLO LADDER) -------------------
+// Table from the season's played matches, remaining fixtures sampled from each match's scoreline grid.
+// Ladder order: points, goal difference, goals for (team name keeps the order deterministic after that).
+const SIM_DEFAULT_RUNS = 10000;
+const SIM_MAX_RUNS = 50000;
+const LADDER_TIE_BREAKERS = ["points", "goalDifference", "goalsFor"];
+
+function emptyLadderRow(team) {
+  return { team, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0 };
+}
+
+function addResult(rows, home, away, hg, ag) {
+  const h = rows.get(home), a = rows.get(away);
+  h.played++; a.played++;
+  h.goalsFor += hg; h.goalsAgainst += ag;
+  a.goalsFor += ag; a.goalsAgainst += hg;
+  if (hg > ag) { h.won++; a.lost++; h.points += 3; }
+  else if (hg < ag) { a.won++; h.lost++; a.points += 3; }
+  else { h.drawn++; a.drawn++; h.points++; a.points++; }
+}
+
+function sortLadder(rows) {
+  return [...rows].map(r => ({ ...r, goalDifference: r.goalsFor - r.goalsAgainst }))
+    .sort((a, b) =>
+      b.points - a.points ||
+      b.goalDifference - a.goalDifference ||
+      b.goalsFor - a.goalsFor ||
+      (a.team < b.team ? -1 : a.team > b.team ? 1 : 0))
+    .map((r, i) => ({ position: i + 1, ...r }));
+}
+
+// league fixtures of one season: placeholder (TBD) fixtures are finals slots, not ladder games
+function seasonLadderFixtures(seasonMatches) {
+  const fixtures = seasonMatches.filter(m => m.home !== "TBD" && m.away !== "TBD");
+  return {
+    played: fixtures.filter(m => m.hg != null && m.ag != null),
+    remaining: fixtures.filter(m => m.hg == null || m.ag == null),
+    teams: [...new Set(fixtures.flatMap(m => [m.home, m.away]))].sort()
+  };
+}
+
+// flattened scoreline CDF for fast sampling
+function scoreSampler(grid) {
+  const cells = [];
+  let acc = 0;
+  for (let hg = 0; hg <= MAX_GOALS; hg++) {
+    for (let ag = 0; ag <= MAX_GOALS; ag++) {
+      acc += grid[hg][ag];
+      cells.push({ acc, hg, ag });
+    }
+  }
+  return rnd => {
+    const u = rnd() * acc;
+    let lo = 0, hi = cells.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cells[mid].acc < u) lo = mid + 1; else hi = mid;
+    }
+    return cells[lo];
+  };
+}
+
+// -> { table, run(rnd) -> sorted ladder of one simulated season }
+function createSeasonSimulator(model, { played, remaining, teams }) {
+  const base = new Map(teams.map(t => [t, emptyLadderRow(t)]));
+  for (const m of played) addResult(base, m.home, m.away, m.hg, m.ag);
+  const samplers = remaining.map(m => ({ home: m.home, away: m.away, sample: scoreSampler(matchProbs(model, m.home, m.away).grid) }));
+
+  return {
+    table: sortLadder(base.values()),
+    run(rnd) {
+      const rows = new Map([...base].map(([t, r]) => [t, { ...r }]));
+      for (const f of samplers) {
+        const s = f.sample(rnd);
+        addResult(rows, f.home, f.away, s.hg, s.ag);
+      }
+      return sortLadder(rows.values());
+    }
+  };
+}
+
+function quantileSorted(xs, q) {
+  if (!xs.length) return null;
+  return xs[Math.min(xs.length - 1, Math.floor(q * xs.length))];
+}
+
+function simulateSeason(model, fixtures, { runs, seed, finalsSpots }) {
+  const sim = createSeasonSimulator(model, fixtures);
+  const rnd = seededRandom(seed);
+  const n = fixtures.teams.length;
+  const acc = new Map(fixtures.teams.map(t => [t, { positions: new Array(n).fill(0), points: [], gd: 0 }]));
+
+  for (let k = 0; k < runs; k++) {
+    for (const r of sim.run(rnd)) {
+      const a = acc.get(r.team);
+      a.positions[r.position - 1]++;
+      a.points.push(r.points);
+      a.gd += r.goalDifference;
+    }
+  }
+
+  const teams = fixtures.teams.map(team => {
+    const a = acc.get(team);
+    const pts = a.points.sort((x, y) => x - y);
+    const positions = a.positions.map(c => c / runs);
+    return {
+      team,
+      current: sim.table.find(r => r.team === team),
+      premiersPlate: positions[0],
+      finals: positions.slice(0, finalsSpots).reduce((s, p) => s + p, 0),
+      expectedPosition: positions.reduce((s, p, i) => s + p * (i + 1), 0),
+      points: {
+        mean: pts.reduce((s, x) => s + x, 0) / runs,
+        p10: quantileSorted(pts, 0.10), p50: quantileSorted(pts, 0.50), p90: quantileSorted(pts, 0.90),
+        min: pts[0], max: pts[pts.length - 1]
+      },
+      expectedGoalDifference: a.gd / runs,
+      positions
+    };
+  }).sort((x, y) => x.expectedPosition - y.expectedPosition);
+
+  return { table: sim.table, teams };
+}
+
+// ------------------- FINALS SERIES SIMULATION (TOP-SIX BRACKET) -------------------
+// A-League format: elimination finals 3v6 and 4v5 (single leg, higher seed at home); two-legged
+// semi-finals, 1st seed v lowest surviving seed, 2nd v the other (first leg at the lower seed,
+// aggregate score, no away-goals rule); single-leg Grand Final hosted by the higher seed.
+// Level ties go to 30 minutes of extra time (expected goals scaled by 30/90), then penalties,
+// at the venue of the deciding leg; draw_resolution=penalties skips extra time.
+const FINALS_SPOTS = 6;
+const FINALS_DRAW_RESOLUTIONS = ["extra_time", "penalties"];
+const FINALS_VENUES = ["home", "neutral"];
+const EXTRA_TIME_SCALE = 30 / 90;
+
+// neutral venue: no ha, each side's home/away strengths averaged
+function neutralMus(model, a, b) {
+  const iA = model?.idx.get(a);
+  const iB = model?.idx.get(b);
+  if (iA == null || iB == null) return null;
+  return {
+    muH: Math.exp((model.attH[iA] + model.attA[iA] + model.defH[iB] + model.defA[iB]) / 2),
+    muA: Math.exp((model.attH[iB] + model.attA[iB] + model.defH[iA] + model.defA[iA]) / 2)
+  };
+}
+
+// opts: { venue, gfVenue, drawResolution, pensHomeWin }
+function createFinalsSimulator(model, opts) {
+  const samplers = new Map();
+  const samplerFor = (home, away, neutral, scale) => {
+    const key = `${home}|${away}|${neutral}|${scale}`;
+    if (!samplers.has(key)) {
+      const mus = (neutral ? neutralMus(model, home, away) : modelMus(model, home, away)) ||
+        (neutral ? { muH: 1.375, muA: 1.375 } : { muH: 1.45, muA: 1.30 });
+      const muH = mus.muH * scale, muA = mus.muA * scale;
+      samplers.set(key, scoreSampler(normalizeGrid(model ? modelScoreMatrix(model, muH, muA) : scoreMatrix(muH, muA))));
+    }
+    return samplers.get(key);
+  };
+
+  const play = (home, away, neutral, rnd, scale = 1) => samplerFor(home, away, neutral, scale)(rnd);
+
+  // a level tie at the deciding venue; returns the winner
+  const breakTie = (home, away, neutral, rnd) => {
+    if (opts.drawResolution === "extra_time") {
+      const et = play(home, away, neutral, rnd, EXTRA_TIME_SCALE);
+      if (et.hg !== et.ag) return et.hg > et.ag ? home : away;
+    }
+    return rnd() < opts.pensHomeWin ? home : away;
+  };
+
+  const single = (higher, lower, neutral, rnd) => {
+    const s = play(higher, lower, neutral, rnd);
+    if (s.hg !== s.ag) return s.hg > s.ag ? higher : lower;
+    return breakTie(higher, lower, neutral, rnd);
+  };
+
+  const twoLegs = (higher, lower, neutral, rnd) => {
+    const leg1 = play(lower, higher, neutral, rnd);
+    const leg2 = play(higher, lower, neutral, rnd);
+    const aggHigher = leg1.ag + leg2.hg;
+    const aggLower = leg1.hg + leg2.ag;
+    if (aggHigher !== aggLower) return aggHigher > aggLower ? higher : lower;
+    return breakTie(higher, lower, neutral, rnd);
+  };
+
+  const neutral = opts.venue === "neutral";
+  const gfNeutral = opts.gfVenue === "neutral";
+
+  return {
+    // seeds: 6 team names, 1st..6th -> { semiFinal: [...], grandFinal: [...], champion }
+    run(seeds, rnd) {
+      const seedOf = t => seeds.indexOf(t);
+      const ef = [single(seeds[2], seeds[5], neutral, rnd), single(seeds[3], seeds[4], neutral, rnd)]
+        .sort((a, b) => seedOf(a) - seedOf(b));
+      const sf1 = twoLegs(seeds[0], ef[1], neutral, rnd);
+      const sf2 = twoLegs(seeds[1], ef[0], neutral, rnd);
+      const [gfHigher, gfLower] = [sf1, sf2].sort((a, b) => seedOf(a) - seedOf(b));
+      return {
+        semiFinal: [seeds[0], seeds[1], ...ef],
+        grandFinal: [gfHigher, gfLower],
+        champion: single(gfHigher, gfLower, gfNeutral, rnd)
+      };
+    }
+  };
+}
+
+// seeding (6 names) fixes the bracket; otherwise every run first simulates the rest of the season
+function simulateFinals(model, { seeding, fixtures }, { runs, seed, ...opts }) {
+  const rnd = seededRandom(seed);
+  const finals = createFinalsSimulator(model, opts);
+  const season = seeding ? null : createSeasonSimulator(model, fixtures);
+  const teams = seeding || fixtures.teams;
+
+  const acc = new Map(teams.map(t => [t, { seeds: new Array(FINALS_SPOTS).fill(0), finals: 0, semiFinal: 0, grandFinal: 0, champion: 0 }]));
+  for (let k = 0; k < runs; k++) {
+    const seeds = seeding || season.run(rnd).slice(0, FINALS_SPOTS).map(r => r.team);
+    seeds.forEach((t, i) => { acc.get(t).seeds[i]++; acc.get(t).finals++; });
+    const r = finals.run(seeds, rnd);
+    for (const t of r.semiFinal) acc.get(t).semiFinal++;
+    for (const t of r.grandFinal) acc.get(t).grandFinal++;
+    acc.get(r.champion).champion++;
+  }
+
+  return teams.map(team => {
+    const a = acc.get(team);
+    return {
+      team,
+      finals: a.finals / runs,
+      semiFinal: a.semiFinal / runs,
+      grandFinal: a.grandFinal / runs,
+      champion: a.champion / runs,
+      seeds: a.seeds.map(c => c / runs)
+    };
+  }).sort((x, y) => y.champion - x.champion || y.finals - x.finals);
+}
+
+// ------------------- MATCH PREVIEW -------------------
+// log mu = sum of terms; each term reported with its multiplier on the expected goals
+function muBreakdown(model, home, away) {
+  const iH = model?.idx.get(home);
+  const iA = model?.idx.get(away);
+  if (iH == null || iA == null) return null;
+  const side = (terms) => {
+    const logMu = terms.reduce((s, t) => s + t.value, 0);
+    return {
+      mu: Math.exp(logMu),
+      logMu,
+      terms: terms.map(t => ({ ...t, multiplier: Math.exp(t.value) })),
+      drivers: [...terms].sort((a, b) => Math.abs(b.value) - Math.abs(a.value)).map(t => t.term)
+    };
+  };
+  return {
+    home: side([
+      { term: "ha", team: null, value: model.ha },
+      { term: "attH", team: home, value: model.attH[iH] },
+      { term: "defA", team: away, value: model.defA[iA] }
+    ]),
+    away: side([
+      { term: "attA", team: away, value: model.attA[iA] },
+      { term: "defH", team: home, value: model.defH[iH] }
+    ])
+  };
+}
+
+function isPlayed(m) {
+  return m.kickoffISO && m.hg != null && m.ag != null;
+}
+
+function byKickoffDesc(a, b) {
+  return a.kickoffISO < b.kickoffISO ? 1 : a.kickoffISO > b.kickoffISO ? -1 : 0;
+}
+
+// last n results for team before the given kickoff, from the team's point of view
+function recentForm(all, team, beforeISO, n) {
+  const matches = all
+    .filter(m => isPlayed(m) && m.kickoffISO < beforeISO && (m.home === team || m.away === team))
+    .sort(byKickoffDesc)
+    .slice(0, n)
+    .map(m => {
+      const atHome = m.home === team;
+      const gf = atHome ? m.hg : m.ag;
+      const ga = atHome ? m.ag : m.hg;
+      return {
+        fixtureId: fixtureIdOf(m),
+        kickoffISO: m.kickoffISO,
+        season: m.season,
+        venue: atHome ? "home" : "away",
+        opponent: atHome ? m.away : m.home,
+        goalsFor: gf,
+        goalsAgainst: ga,
+        result: gf > ga ? "W" : gf === ga ? "D" : "L"
+      };
+    });
+  const count = r => matches.filter(x => x.result === r).length;
+  return {
+    played: matches.length,
+    form: matches.map(x => x.result).join(""),
+    points: 3 * count("W") + count("D"),
+    goalsFor: matches.reduce((s, x) => s + x.goalsFor, 0),
+    goalsAgainst: matches.reduce((s, x) => s + x.goalsAgainst, 0),
+    matches
+  };
+}
+
+// meetings either way round before the given kickoff; wins counted for this fixture's home/away team
+function headToHead(all, home, away, beforeISO, n) {
+  const matches = all
+    .filter(m => isPlayed(m) && m.kickoffISO < beforeISO &&
+      ((m.home === home && m.away === away) || (m.home === away && m.away === home)))
+    .sort(byKickoffDesc)
+    .slice(0, n);
+  let homeWins = 0, draws = 0, awayWins = 0, homeGoals = 0, awayGoals = 0;
+  for (const m of matches) {
+    const hg = m.home === home ? m.hg : m.ag;
+    const ag = m.home === home ? m.ag : m.hg;
+    homeGoals += hg; awayGoals += ag;
+    if (hg > ag) homeWins++; else if (hg < ag) awayWins++; else draws++;
+  }
+  return {
+    played: matches.length,
+    homeWins, draws, awayWins, homeGoals, awayGoals,
+    matches: matches.map(m => ({ fixtureId: fixtureIdOf(m), kickoffISO: m.kickoffISO, season: m.season, home: m.home, away: m.away, hg: m.hg, ag: m.ag }))
+  };
+}
+
+// ------------------- ELO RATINGS -------------------
+// World-football style Elo: K scaled by goal difference (1, 1.5, (11 + gd) / 8 from 3 goals), home side
+// gets ELO_HOME_ADV rating points, and each team regresses ELO_SEASON_REGRESS of the way back to
+// ELO_BASE at its first match of a new season.
+// 1X2 from Elo: E = expected home score; draw share pD = drawFactor * 4E(1-E), where drawFactor is
+// fitted so the pre-match draw share matches the draws seen so far; pH = E - pD/2, pA = 1 - E - pD/2.
+const ELO_BASE = 1500;
+const ELO_K = 20;
+const ELO_HOME_ADV = 60;
+const ELO_SEASON_REGRESS = 0.25;
+const ELO_DEFAULT_DRAW_FACTOR = 0.30;
+const BACKTEST_PREDICTORS = ["model", "elo"];
+
+function eloGoalMultiplier(gd) {
+  const d = Math.abs(gd);
+  if (d <= 1) return 1;
+  if (d === 2) return 1.5;
+  return (11 + d) / 8;
+}
+
+function eloExpected(ratingHome, ratingAway) {
+  return 1 / (1 + Math.pow(10, -(ratingHome + ELO_HOME_ADV - ratingAway) / 400));
+}
+
+function createEloState() {
+  const teams = new Map(); // team -> { rating, season, games }
+  const history = new Map(); // team -> [...]
+  let draws = 0, drawMass = 0, matches = 0;
+
+  // rating a team carries into `season` (regression applied lazily)
+  const ratingFor = (team, season) => {
+    const t = teams.get(team);
+    if (!t) return ELO_BASE;
+    if (season != null && t.season !== season) return ELO_BASE + (1 - ELO_SEASON_REGRESS) * (t.rating - ELO_BASE);
+    return t.rating;
+  };
+
+  const drawFactor = () => (drawMass > 0 && matches >= 20 ? draws / drawMass : ELO_DEFAULT_DRAW_FACTOR);
+
+  return {
+    ratingFor,
+    drawFactor,
+
+    probs(home, away, season) {
+      const E = eloExpected(ratingFor(home, season), ratingFor(away, season));
+      const pD = clamp(drawFactor() * 4 * E * (1 - E), 0, 0.6);
+      const pH = Math.max(0.01, E - pD / 2);
+      const pA = Math.max(0.01, 1 - E - pD / 2);
+      const s = pH + pD + pA;
+      return { H: pH / s, D: pD / s, A: pA / s };
+    },
+
+    // one played match, in kickoff order
+    update(m) {
+      const rH = ratingFor(m.home, m.season);
+      const rA = ratingFor(m.away, m.season);
+      const E = eloExpected(rH, rA);
+      const score = m.hg > m.ag ? 1 : m.hg === m.ag ? 0.5 : 0;
+      const delta = ELO_K * eloGoalMultiplier(m.hg - m.ag) * (score - E);
+
+      draws += m.hg === m.ag ? 1 : 0;
+      drawMass += 4 * E * (1 - E);
+      matches++;
+
+      for (const [team, before, change, venue, opponent, gf, ga] of [
+        [m.home, rH, delta, "home", m.away, m.hg, m.ag],
+        [m.away, rA, -delta, "away", m.home, m.ag, m.hg]
+      ]) {
+        const prev = teams.get(team);
+        teams.set(team, { rating: before + change, season: m.season, games: (prev?.games || 0) + 1 });
+        if (!history.has(team)) history.set(team, []);
+        history.get(team).push({
+          fixtureId: fixtureIdOf(m),
+          kickoffISO: m.kickoffISO,
+          season: m.season,
+          round: m.round,
+          venue,
+          opponent,
+          goalsFor: gf,
+          goalsAgainst: ga,
+          result: gf > ga ? "W" : gf === ga ? "D" : "L",
+          expected: venue === "home" ? E : 1 - E,
+          ratingBefore: before,
+          change,
+          ratingAfter: before + change
+        });
+      }
+    },
+
+    table() {
+      return [...teams].map(([team, t]) => ({ team, rating: t.rating, games: t.games, season: t.season }))
+        .sort((a, b) => b.rating - a.rating);
+    },
+
+    history(team) {
+      return history.get(team) || null;
+    }
+  };
+}
+
+// Elo over every played match, oldest first
+function computeElo(matches) {
+  const elo = createEloState();
+  matches.filter(isPlayed)
+    .sort((a, b) => (a.kickoffISO < b.kickoffISO ? -1 : a.kickoffISO > b.kickoffISO ? 1 : 0))
+    .forEach(m => elo.update(m));
+  return elo;
+}
+
+function eloParams(elo) {
+  return {
+    base: ELO_BASE,
+    k: ELO_K,
+    homeAdvantage: ELO_HOME_ADV,
+    seasonRegression: ELO_SEASON_REGRESS,
+    goalDifference: "1 | 1.5 | (11 + gd) / 8",
+    drawFactor: elo ? elo.drawFactor() : null
+  };
+}
+
+// ------------------- IN-PLAY (SCORE + CLOCK CONDITIONED) -------------------
+// Remaining goals ~ independent Poisson with the pre-match mus scaled by the share of goal intensity
+// left in the match. Intensity rises linearly through the 90 (late goals are more common):
+// w(t) = 1 + INPLAY_LATE_SLOPE * (t/90 - 1/2), so the average over the match is 1.
+// A red card scales the rest-of-match rate of the side reduced to ten men and of its opponent.
+const INPLAY_MATCH_MINUTES = 90;
+const INPLAY_LATE_SLOPE = 0.4;
+const RED_CARD_OWN = 0.67;
+const RED_CARD_OPP = 1.25;
+
+// share of the match's expected goals still to come after `minute`
+function remainingIntensity(minute) {
+  const T = INPLAY_MATCH_MINUTES;
+  const W = t => t + INPLAY_LATE_SLOPE * (t * t / (2 * T) - t / 2);
+  const t = clamp(minute, 0, T);
+  return (W(T) - W(t)) / W(T);
+}
+
+function inPlayProbs(pre, { minute, hg, ag, redH, redA }, ouLines) {
+  const frac = remainingIntensity(minute);
+  const lamH = pre.muH * frac * (RED_CARD_OWN ** redH) * (RED_CARD_OPP ** redA);
+  const lamA = pre.muA * frac * (RED_CARD_OWN ** redA) * (RED_CARD_OPP ** redH);
+  const rest = normalizeGrid(scoreMatrix(lamH, lamA, 0));
+
+  let pH = 0, pD = 0, pA = 0;
+  for (let x = 0; x <= MAX_GOALS; x++) {
+    for (let y = 0; y <= MAX_GOALS; y++) {
+      const fh = hg + x, fa = ag + y;
+      if (fh > fa) pH += rest[x][y];
+      else if (fh === fa) pD += rest[x][y];
+      else pA += rest[x][y];
+    }
+  }
+  const fair = p => (p > 0 ? 1 / p : null);
+
+  const totals = ouLines.map(line => {
+    const over = settleDist(rest, (x, y) => settleTotal(hg + ag + x + y, line, "over"));
+    const under = settleDist(rest, (x, y) => settleTotal(hg + ag + x + y, line, "under"));
+    return { line, settled: hg + ag > line, over: pricedDist(over), under: pricedDist(under) };
+  });
+
+  const lam = lamH + lamA;
+  const none = Math.exp(-lam);
+  const nextHome = lam > 0 ? (lamH / lam) * (1 - none) : 0;
+  const nextAway = lam > 0 ? (lamA / lam) * (1 - none) : 0;
+
+  return {
+    remaining: { intensityShare: frac, muH: lamH, muA: lamA },
+    "1x2": { probs: { H: pH, D: pD, A: pA }, fairOdds: { H: fair(pH), D: fair(pD), A: fair(pA) } },
+    totals,
+    nextGoal: {
+      probs: { home: nextHome, none, away: nextAway },
+      fairOdds: { home: fair(nextHome), none: fair(none), away: fair(nextAway) }
+    }
+  };
+}
+
+// ------------------- ROUTES -------------------
+app.get("/health", (req, res) => res.json({ ok: true, ts: Date.now() }));
+
+app.get("/api/competitions", (req, res) => {
+  res.json({
+    default: DEFAULT_COMPETITION,
+    competitions: COMPETITIONS.map(c => ({
+      id: c.id,
+      name: c.name,
+      currentSeason: currentSeasonOf(c),
+      seasons: c.seasons.map(s => s.season)
+    }))
+  });
+});
+
+// feed health: snapshot age + row count, in-memory cache, last fetch error
+app.get("/api/feeds", async (req, res) => {
+  try {
+    let comps = COMPETITIONS;
+    if (req.query.competition) {
+      const comp = getCompetition(req.query.competition);
+      if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+      comps = [comp];
+    }
+
+    const now = Date.now();
+    const feeds = [];
+    for (const c of comps) {
+      for (const s of c.seasons) {
+        const snap = await readSnapshot(s.url);
+        const cached = feedCache.byUrl.get(s.url);
+        const st = feedStatus.byUrl.get(s.url) || {};
+        const fetchedAt = snap?.fetchedAt ? new Date(snap.fetchedAt).getTime() : null;
+        feeds.push({
+          competition: c.id,
+          season: s.season,
+          url: s.url,
+          snapshot: snap
+            ? { file: snapshotPathFor(s.url), fetchedAt: snap.fetchedAt, ageMs: now - fetchedAt, rows: snap.rows.length }
+            : null,
+          cache: cached ? { ageMs: now - cached.ts, rows: cached.data.length } : null,
+          source: st.source || null,
+          lastFetchAt: st.lastFetchAt || null,
+          lastOkAt: st.lastOkAt || null,
+          lastError: st.lastError || null,
+          lastErrorAt: st.lastErrorAt || null,
+          snapshotError: st.snapshotError || null,
+          unknownTeams: [...(unknownTeams.byUrl.get(s.url)?.values() || [])]
+        });
+      }
+    }
+
+    res.json({ mode: DATA_MODE, snapshotDir: SNAPSHOT_DIR, feeds });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/seasons", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const counts = seasonCountsWithResults(all);
+    const seasons = Object.keys(counts).sort();
+    res.json({ competition: comp.id, seasons: seasons.map(s => ({ season: s, total: counts[s].total, played: counts[s].played })) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/diagnostics", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const bySeason = {};
+    for (const s of comp.seasons.map(x => x.season)) {
+      bySeason[s] = summarizeSeason(all.filter(m => m.season === s));
+    }
+    res.json({ competition: comp.id, seasons: bySeason });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// upcoming fixtures (current season of the competition)
+app.get("/api/fixtures", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const days = finiteParam(req.query.days, 14, 1, 90);
+    const limit = finiteParam(req.query.limit, 40, 1, 200);
+    const numError = nonFiniteParamError({ days, limit });
+    if (numError) return res.status(400).json(numError);
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const latestSeason = all.filter(m => m.season === currentSeasonOf(comp));
+
+    const now = Date.now();
+    const horizon = now + days * 24 * 3600 * 1000;
+
+    const upcoming = latestSeason
+      .filter(m => m.kickoffISO &&
+        new Date(m.kickoffISO).getTime() >= (now - 2 * 3600 * 1000) &&
+        new Date(m.kickoffISO).getTime() <= horizon)
+      .sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime())
+      .slice(0, limit);
+
+    res.json({ competition: comp.id, season: currentSeasonOf(comp), days, limit, count: upcoming.length, matches: upcoming });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// saved model artifacts (newest first)
+app.get("/api/models", async (req, res) => {
+  try {
+    const limit = finiteParam(req.query.limit, 50, 1, 500);
+    const numError = nonFiniteParamError({ limit });
+    if (numError) return res.status(400).json(numError);
+    const competition = req.query.competition ? String(req.query.competition) : null;
+    const family = req.query.model ? String(req.query.model) : null;
+
+    const models = (await listModelArtifacts())
+      .filter(a => (!competition || a.competition === competition) && (!family || a.family === family));
+
+    res.json({ dir: MODELS_DIR, max: MODEL_ARTIFACTS_MAX, count: models.length, models: models.slice(0, limit) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/models/:id", async (req, res) => {
+  try {
+    const artifact = await readModelArtifact(req.params.id);
+    if (!artifact) return res.status(404).json({ error: `unknown model_id "${req.params.id}"` });
+    res.json(artifact);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// team alias registry + unknown names seen in feeds (data-quality)
+app.get("/api/teams/aliases", (req, res) => {
+  const unknown = [];
+  for (const c of COMPETITIONS) {
+    for (const s of c.seasons) {
+      for (const u of unknownTeams.byUrl.get(s.url)?.values() || []) {
+        unknown.push({ competition: c.id, season: s.season, url: s.url, ...u });
+      }
+    }
+  }
+
+  res.json({
+    teams: TEAM_REGISTRY.teams.map(t => ({ id: t.id, name: t.name, short: t.short, aliases: t.aliases || [] })),
+    unknown
+  });
+});
+
+// team stats (home/away splits)
+app.get("/api/teams", async (req, res) => {
+  try {
+    const { comp, model, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    if (!model) return res.json({ meta: {}, teams: [] });
+    const elo = computeElo(await loadAllSeasonsUnified(comp.id));
+
+    const teams = model.teams.map(t => {
+      const tm = model.teamMeta[t] || {};
+      const attackHome = Math.exp(tm.attH ?? 0);
+      const defenceHome = Math.exp(-(tm.defH ?? 0));
+      const attackAway = Math.exp(tm.attA ?? 0);
+      const defenceAway = Math.exp(-(tm.defA ?? 0));
+
+      const canon = resolveTeam(t);
+      return {
+        team: t,
+        id: canon.id,
+        short: canon.short,
+        games: tm.games ?? 0,
+        homeGames: tm.homeGames ?? 0,
+        awayGames: tm.awayGames ?? 0,
+        attH: tm.attH ?? 0,
+        defH: tm.defH ?? 0,
+        attA: tm.attA ?? 0,
+        defA: tm.defA ?? 0,
+        attackHome,
+        defenceHome,
+        attackAway,
+        defenceAway,
+        elo: elo.ratingFor(t, null)
+      };
+    });
+
+    teams.sort((a, b) => {
+      const sa = (a.attackHome + a.defenceHome + a.attackAway + a.defenceAway);
+      const sb = (b.attackHome + b.defenceHome + b.attackAway + b.defenceAway);
+      return sb - sa;
+    });
+
+    res.json({
+      meta: {
+        competition: comp.id,
+        modelId: model.artifactId || null,
+        model: modelLabel(model),
+        family: model.family,
+        familyParams: model.familyParams,
+        minGamesPerTeam: model.minGamesPerTeam,
+        leagueAvgGoals: model.leagueAvgGoals,
+        homeAdv: model.ha,
+        dixonColes: { rho: model.rho },
+        xgShrink: { alpha: SHRINK_ALPHA, goalCap: GOAL_CAP },
+        calibrationMethod: model.calibrationMethod,
+        calibration: model.calibration || null,
+        elo: eloParams(elo)
+      },
+      teams
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// value endpoint (real odds when ingested, synthetic fallback per market; totals show raw->cal)
+function synthOdds1x2(pH, pD, pA, margin = 0.055) {
+  const sum = pH + pD + pA;
+  if (sum <= 0) return { H: null, D: null, A: null };
+  pH /= sum; pD /= sum; pA /= sum;
+  const qH = pH * (1 + margin), qD = pD * (1 + margin), qA = pA * (1 + margin);
+  return { H: 1 / qH, D: 1 / qD, A: 1 / qA };
+}
+function synthOddsBinary(p, margin = 0.05) {
+  const q = clamp(p * (1 + margin), 0.02, 0.98);
+  return 1 / q;
+}
+// model lay price: the margin sits on the layer's side (longer than fair)
+function synthLayOdds(p, margin = 0.05) {
+  const q = clamp(p * (1 - margin), 0.02, 0.98);
+  return 1 / q;
+}
+
+// back + lay view of one selection; side is whichever has a positive edge
+// (both positive: the larger EV per unit at risk, i.e. stake when backing, liability when laying)
+function sideView(p, back, lay) {
+  const b = back != null ? { odds: back, ev: backEvOf(p, back) } : null;
+  const l = lay?.odds != null
+    ? { odds: lay.odds, source: lay.source, ev: layEvOf(p, lay.odds), liability: lay.odds - 1, evPerLiability: layEvOf(p, lay.odds) / (lay.odds - 1) }
+    : null;
+  const backEdge = b && b.ev > 0 ? b.ev : null;
+  const layEdge = l && l.ev > 0 ? l.evPerLiability : null;
+  let side = null;
+  if (backEdge != null || layEdge != null) side = layEdge == null || (backEdge != null && backEdge >= layEdge) ? "back" : "lay";
+  return { p, side, back: b, lay: l };
+}
+
+// one upcoming fixture as /api/value shows it: model probs, odds per market (market or synthetic), back/lay sides
+function valueMatchView(comp, model, m, oddsStore, { bookmaker = null, laySpread = LAY_SPREAD, csTop = DEFAULT_CS_TOP, ahLines = DEFAULT_AH_LINES, ouLines = DEFAULT_OU_LINES } = {}) {
+  const probs = matchProbs(model, m.home, m.away);
+  const p = probs.p1x2;
+
+  const fixtureId = fixtureIdOf(m);
+  const real = marketOddsFor(oddsStore, fixtureId, bookmaker);
+  const sources = {
+    "1x2": real?.["1x2"].complete ? "market" : "synthetic",
+    ou25: real?.ou25.complete ? "market" : "synthetic",
+    ou35: real?.ou35.complete ? "market" : "synthetic"
+  };
+
+  const odds1x2 = sources["1x2"] === "market" ? real["1x2"].odds : synthOdds1x2(p.H, p.D, p.A, 0.055);
+  const oddsOver25 = sources.ou25 === "market" ? real.ou25.odds.over : synthOddsBinary(probs.pOver25, 0.05);
+  const oddsOver35 = sources.ou35 === "market" ? real.ou35.odds.over : synthOddsBinary(probs.pOver35, 0.05);
+  const oddsUnder25 = sources.ou25 === "market" ? real.ou25.odds.under : null;
+  const oddsUnder35 = sources.ou35 === "market" ? real.ou35.odds.under : null;
+
+  // lay: exchange lay price when ingested, else the back price + spread (market) or the model price
+  const layFor = (mk, sel, back, pSel, margin) => {
+    if (real?.[mk].lay[sel] != null) return { odds: real[mk].lay[sel], source: "market" };
+    if (sources[mk] === "market") return { odds: spreadLayOdds(back, laySpread), source: "spread" };
+    return { odds: synthLayOdds(pSel, margin), source: "synthetic" };
+  };
+  const sides1x2 = {};
+  for (const k of ["H", "D", "A"]) sides1x2[k] = sideView(p[k], odds1x2[k], layFor("1x2", k, odds1x2[k], p[k], 0.055));
+  const sidesOu = (mk, pOver, over, under) => ({
+    over: sideView(pOver, over, layFor(mk, "over", over, pOver, 0.05)),
+    under: sideView(1 - pOver, under, layFor(mk, "under", under, 1 - pOver, 0.05))
+  });
+
+  return {
+    fixtureId,
+    league: `${comp.name}${m.round ? ` • Round ${m.round}` : ""}${m.location ? ` • ${m.location}` : ""}`,
+    kickoffLocal: m.kickoffLocal,
+    kickoffISO: m.kickoffISO,
+    home: m.home,
+    away: m.away,
+    model: { muH: probs.muH, muA: probs.muA, okSample: probs.okSample },
+    oddsSource: summarizeOddsSources(sources),
+    markets: {
+      "1x2": {
+        probs: p, odds: odds1x2,
+        oddsSource: sources["1x2"],
+        bookmakers: sources["1x2"] === "market" ? real["1x2"].bookmakers : null,
+        sides: sides1x2
+      },
+      "ou25": {
+        line: 2.5, probOver_raw: probs.pOver25_raw, probOver: probs.pOver25, oddsOver: oddsOver25,
+        oddsUnder: oddsUnder25,
+        oddsSource: sources.ou25,
+        bookmakers: sources.ou25 === "market" ? real.ou25.bookmakers : null,
+        sides: sidesOu("ou25", probs.pOver25, oddsOver25, oddsUnder25)
+      },
+      "ou35": {
+        line: 3.5, probOver_raw: probs.pOver35_raw, probOver: probs.pOver35, oddsOver: oddsOver35,
+        oddsUnder: oddsUnder35,
+        oddsSource: sources.ou35,
+        bookmakers: sources.ou35 === "market" ? real.ou35.bookmakers : null,
+        sides: sidesOu("ou35", probs.pOver35, oddsOver35, oddsUnder35)
+      },
+      "btts": bttsFromGrid(probs.grid),
+      "correctScore": correctScoreFromGrid(probs.grid, csTop),
+      "ah": asianHandicapFromGrid(probs.grid, ahLines),
+      "totals": totalsFromGrid(probs.grid, ouLines, probs)
+    }
+  };
+}
+
+// every back/lay selection of the priced markets: p = probability the bet wins, ev per unit at risk
+const VALUE_SIDE_MARKETS = ["1x2", "ou25", "ou35"];
+
+function valueSelections(view, markets = VALUE_SIDE_MARKETS) {
+  const out = [];
+  for (const mk of markets) {
+    const mv = view.markets[mk];
+    for (const [selection, v] of Object.entries(mv.sides)) {
+      const oddsSource = mv.oddsSource;
+      if (v.back) out.push({ market: mk, selection, side: "back", p: v.p, ev: v.back.ev, odds: v.back.odds, oddsSource });
+      if (v.lay) out.push({ market: mk, selection, side: "lay", p: 1 - v.p, ev: v.lay.evPerLiability, odds: v.lay.odds, oddsSource: v.lay.source });
+    }
+  }
+  return out;
+}
+
+app.get("/api/value", async (req, res) => {
+  try {
+    const days = finiteParam(req.query.days, 14, 1, 90);
+    const limit = finiteParam(req.query.limit, 25, 1, 200);
+    const minEv = finiteParam(req.query.min_ev, 0, 0, 10);
+    const minP = finiteParam(req.query.min_p, 0, 0, 1);
+    const minSample = String(req.query.min_sample || "1") === "1";
+    const bookmaker = req.query.bookmaker ? String(req.query.bookmaker) : null;
+    const useDc = String(req.query.dc || "1") === "1";
+    const { comp, family, model: fitted, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    const csTop = finiteParam(req.query.cs_top, DEFAULT_CS_TOP, 1, 30);
+    const ahLines = parseLines(req.query.ah_lines, DEFAULT_AH_LINES, -3, 3);
+    const ouLines = parseLines(req.query.ou_lines, DEFAULT_OU_LINES, 0.5, 5.5);
+    const laySpread = finiteParam(req.query.lay_spread, LAY_SPREAD, 0, 1);
+    const numError = nonFiniteParamError({
+      days, limit, min_ev: minEv, min_p: minP, cs_top: csTop, ah_lines: ahLines, ou_lines: ouLines, lay_spread: laySpread
+    });
+    if (numError) return res.status(400).json(numError);
+
+    const model = fitted && !useDc ? { ...fitted, rho: 0 } : fitted;
+    const all = await loadAllSeasonsUnified(comp.id);
+    const oddsStore = await loadOddsStore();
+    const latestSeason = all.filter(m => m.season === currentSeasonOf(comp));
+
+    const now = Date.now();
+    const horizon = now + days * 24 * 3600 * 1000;
+
+    const upcoming = latestSeason
+      .filter(m => m.kickoffISO &&
+        new Date(m.kickoffISO).getTime() >= (now - 2 * 3600 * 1000) &&
+        new Date(m.kickoffISO).getTime() <= horizon)
+      .sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime())
+      .slice(0, limit);
+
+    const ui = upcoming.map(m => valueMatchView(comp, model, m, oddsStore, { bookmaker, laySpread, csTop, ahLines, ouLines }));
+
+    const filtered = ui.filter(m => {
+      if (minSample && m.model?.okSample !== true) return false;
+      if (minEv <= 0 && minP <= 0) return true;
+
+      // back: p of the selection vs EV per unit stake; lay: p the lay wins vs EV per unit liability
+      return valueSelections(m).some(x => x.p != null && x.p >= minP && x.ev >= minEv);
+    });
+
+    // logged picks (see logValueRecommendations) on these fixtures, scored against the close
+    const wanted = new Set(filtered.map(m => m.fixtureId));
+    const logged = await recommendationLog.with(byKey => ({ result: [...byKey.values()].filter(r => wanted.has(r.fixtureId)), changed: false }));
+    for (const m of filtered) {
+      m.recommendations = logged
+        .filter(r => r.fixtureId === m.fixtureId)
+        .map(r => ({
+          market: r.market, selection: r.selection, recommendedAt: r.recommendedAt,
+          odds: r.odds, bookmaker: r.bookmaker, p: r.p, ev: r.ev,
+          clv: clvFor(oddsStore, r, bookmaker)
+        }));
+    }
+
+    res.json({
+      meta: {
+        competition: comp.id,
+        season: currentSeasonOf(comp),
+        modelId: model?.artifactId || null,
+        model: modelLabel(model),
+        family,
+        calibrationMethod: model?.calibrationMethod || null,
+        calibration: model?.calibration || null,
+        dixonColes: { enabled: useDc, rho: model?.rho ?? null },
+        leagueAvgGoals: model?.leagueAvgGoals || null,
+        minGamesPerTeam: model?.minGamesPerTeam || 0,
+        xgShrink: { alpha: SHRINK_ALPHA, goalCap: GOAL_CAP },
+        odds: { bookmaker: bookmaker || "best", fixturesWithMarketOdds: ui.filter(m => m.oddsSource !== "synthetic").length },
+        exchange: { commission: COMMISSION, laySpread },
+        extraMarkets: { odds: "fair (model)", csTop, ahLines, ouLines }
+      },
+      matches: filtered
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// odds store: list what is loaded (optionally one fixture)
+app.get("/api/odds", async (req, res) => {
+  try {
+    const store = await loadOddsStore();
+    const fixture = req.query.fixture ? normalizeFixtureId(String(req.query.fixture)) : null;
+
+    // odds are competition-agnostic; competition= narrows to fixtures in that competition's feeds
+    let inCompetition = null;
+    if (req.query.competition) {
+      const comp = getCompetition(req.query.competition);
+      if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+      inCompetition = new Set((await loadAllSeasonsUnified(comp.id)).map(fixtureIdOf));
+    }
+
+    const fixtures = [];
+    for (const [fixtureId, books] of store.byFixture) {
+      if (fixture && fixtureId !== fixture) continue;
+      if (inCompetition && !inCompetition.has(fixtureId)) continue;
+      const snaps = store.history.get(fixtureId) || [];
+      fixtures.push({
+        fixtureId,
+        bookmakers: [...books.values()],
+        best: marketOddsFor(store, fixtureId),
+        closing: closingOddsFor(store, fixtureId),
+        snapshots: snaps.length,
+        ...(fixture ? { history: snaps } : {})
+      });
+    }
+    fixtures.sort((a, b) => (a.fixtureId < b.fixtureId ? -1 : a.fixtureId > b.fixtureId ? 1 : 0));
+
+    res.json({ dir: ODDS_DIR, files: store.files, records: store.records, count: fixtures.length, fixtures });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// odds upload: JSON (array | { odds: [...] } | single row) or CSV (Content-Type: text/csv)
+app.post("/api/odds", async (req, res) => {
+  try {
+    const isCsv = typeof req.body === "string";
+    const rows = parseOddsPayload(req.body, isCsv);
+    const ingestedAt = new Date(); // persisted as ts on rows that carry none
+
+    const accepted = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+      const { record, error } = oddsRowToRecord(row, ingestedAt);
+      if (record) accepted.push(record);
+      else errors.push({ row: i, error });
+    });
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ error: "no valid odds rows", rejected: errors.length, errors: errors.slice(0, 50) });
+    }
+
+    await fs.promises.mkdir(ODDS_DIR, { recursive: true });
+    const file = `upload-${ingestedAt.toISOString().replace(/[:.]/g, "-")}.json`;
+    await fs.promises.writeFile(path.join(ODDS_DIR, file), JSON.stringify(accepted, null, 2));
+
+    const store = await loadOddsStore();
+    res.json({
+      file,
+      accepted: accepted.length,
+      rejected: errors.length,
+      errors: errors.slice(0, 50),
+      fixtures: [...new Set(accepted.map(r => r.fixtureId))].length,
+      storeRecords: store.records
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ------------------- BANKROLL SIMULATION (STAKING) -------------------
+// Runs over the chronological list of bets a backtest placed: { fixtureId, kickoffISO, round, market, side, p, odds, win }.
+// Bets in the same round are sized off the bankroll at the start of that round, then settled together.
+// Caps and Kelly apply to the amount at risk, so a lay's stake is its liability / (odds - 1).
+const STAKING_TYPES = ["flat", "kelly", "fractional_kelly", "fixed_pct"];
+const RUIN_PATHS = 1000;
+
+function parseStakingOpts(q) {
+  const type = q.staking ? String(q.staking) : null;
+  if (!type) return { opts: null };
+  if (!STAKING_TYPES.includes(type)) return { error: `staking must be one of ${STAKING_TYPES.join(", ")}` };
+  const nums = {
+    bankroll: finiteParam(q.bankroll, 100, 1, 1e9),
+    flat_stake: finiteParam(q.flat_stake, 1, 0.01, 1e9),
+    kelly_fraction: finiteParam(q.kelly_fraction, 0.25, 0.01, 1),
+    stake_pct: finiteParam(q.stake_pct, 0.01, 0.0001, 1),
+    max_bet_pct: finiteParam(q.max_bet_pct, 0.05, 0.0001, 1),
+    max_round_pct: finiteParam(q.max_round_pct, 0.20, 0.0001, 1),
+    ruin_level: finiteParam(q.ruin_level, 0.5, 0, 0.99),
+    seed: finiteParam(q.seed, 1, -Infinity, Infinity)
+  };
+  const numError = nonFiniteParamError(nums);
+  if (numError) return numError;
+  return {
+    opts: {
+      type,
+      bankroll: nums.bankroll,
+      flatStake: nums.flat_stake,
+      kellyFraction: type === "kelly" ? 1 : nums.kelly_fraction,
+      stakePct: nums.stake_pct,
+      maxBetPct: nums.max_bet_pct,
+      maxRoundPct: nums.max_round_pct,
+      ruinLevel: nums.ruin_level,
+      seed: nums.seed
+    }
+  };
+}
+
+// full Kelly on net (post-commission) odds
+function kellyFraction(p, odds) {
+  const b = (odds - 1) * (1 - COMMISSION);
+  if (!(b > 0)) return 0;
+  return Math.max(0, (p * b - (1 - p)) / b);
+}
+
+// lay: Kelly fraction of the bankroll to put up as liability (net win per unit liability (1 - c) / (odds - 1))
+function layKellyFraction(p, odds) {
+  const b = (1 - COMMISSION) / (odds - 1);
+  if (!(b > 0)) return 0;
+  return Math.max(0, ((1 - p) * b - p) / b);
+}
+
+// stake (backer's stake when laying); flat / fixed_pct size the amount at risk
+function stakeFor(bet, bankroll, o) {
+  const liab = betLiability1u(bet);
+  let risk;
+  if (o.type === "flat") risk = o.flatStake;
+  else if (o.type === "fixed_pct") risk = o.stakePct * bankroll;
+  else risk = o.kellyFraction * (bet.side === "lay" ? layKellyFraction(bet.p, bet.odds) : kellyFraction(bet.p, bet.odds)) * bankroll;
+  return Math.max(0, Math.min(risk, o.maxBetPct * bankroll, bankroll)) / liab;
+}
+
+function groupByRound(bets) {
+  const rounds = [];
+  for (const b of bets) {
+    const last = rounds[rounds.length - 1];
+    if (last && last.round === b.round) last.bets.push(b);
+    else rounds.push({ round: b.round, bets: [b] });
+  }
+  return rounds;
+}
+
+function simulateBankrollPath(rounds, o, withCurve) {
+  let bankroll = o.bankroll;
+  let peak = bankroll, maxDd = 0, maxDdPct = 0;
+  let streak = 0, longestLosing = 0;
+  let staked = 0, liability = 0, placed = 0, wins = 0;
+  let minBankroll = bankroll;
+  const curve = [];
+
+  for (const r of rounds) {
+    if (bankroll <= 0) break;
+    let stakes = r.bets.map(b => stakeFor(b, bankroll, o));
+    const total = stakes.reduce((a, x, i) => a + x * betLiability1u(r.bets[i]), 0);
+    const cap = Math.min(o.maxRoundPct * bankroll, bankroll);
+    if (total > cap) stakes = stakes.map(x => x * cap / total);
+
+    let roundPnl = 0;
+    r.bets.forEach((b, i) => {
+      const stake = stakes[i];
+      if (stake <= 0) return;
+      const pnl = stake * betProfit1u(b);
+      roundPnl += pnl;
+      staked += stake;
+      liability += stake * betLiability1u(b);
+      placed++;
+      if (b.win) { wins++; streak = 0; } else { streak++; longestLosing = Math.max(longestLosing, streak); }
+      if (withCurve) {
+        curve.push({ n: placed, kickoffISO: b.kickoffISO, fixtureId: b.fixtureId, market: b.market, selection: b.selection, side: b.side || "back", odds: b.odds, p: b.p, stake, liability: stake * betLiability1u(b), pnl, bankroll: bankroll + roundPnl });
+      }
+    });
+
+    bankroll = Math.max(0, bankroll + roundPnl);
+    minBankroll = Math.min(minBankroll, bankroll);
+    peak = Math.max(peak, bankroll);
+    maxDd = Math.max(maxDd, peak - bankroll);
+    if (peak > 0) maxDdPct = Math.max(maxDdPct, (peak - bankroll) / peak);
+  }
+
+  return { bankroll, staked, liability, placed, wins, maxDd, maxDdPct, longestLosing, minBankroll, curve };
+}
+
+// bootstrap the realised bets (with replacement, one bet per round) and count paths that
+// ever fall to ruinLevel x starting bankroll
+function riskOfRuin(bets, o) {
+  if (!bets.length) return { paths: 0, ruinLevel: o.ruinLevel, probability: null };
+  const rnd = seededRandom(o.seed);
+  let ruined = 0;
+  for (let k = 0; k < RUIN_PATHS; k++) {
+    const rounds = bets.map(() => ({ bets: [bets[Math.floor(rnd() * bets.length)]] }));
+    const sim = simulateBankrollPath(rounds, o, false);
+    if (sim.minBankroll <= o.ruinLevel * o.bankroll) ruined++;
+  }
+  return { paths: RUIN_PATHS, ruinLevel: o.ruinLevel, probability: ruined / RUIN_PATHS };
+}
+
+function simulateStaking(bets, o) {
+  const run = (subset) => {
+    const sim = simulateBankrollPath(groupByRound(subset), o, true);
+    return {
+      bets: sim.placed,
+      wins: sim.wins,
+      staked: sim.staked,
+      liability: sim.liability,
+      profit: sim.bankroll - o.bankroll,
+      finalBankroll: sim.bankroll,
+      growth: sim.bankroll / o.bankroll - 1,
+      roiOnStake: sim.staked ? (sim.bankroll - o.bankroll) / sim.staked : null,
+      roiOnLiability: sim.liability ? (sim.bankroll - o.bankroll) / sim.liability : null,
+      maxDrawdown: { abs: sim.maxDd, pct: sim.maxDdPct },
+      longestLosingStreak: sim.longestLosing,
+      riskOfRuin: riskOfRuin(subset, o),
+      equityCurve: sim.curve
+    };
+  };
+
+  const markets = [...new Set(bets.map(b => b.market))];
+  const out = { params: o, markets: {} };
+  for (const mk of markets) out.markets[mk] = run(bets.filter(b => b.market === mk));
+  out.combined = run(bets);
+  return out;
+}
+
+// ------------------- BACKTEST ENGINE -------------------
+// Shared by /api/backtest and /api/tune. `knobs` (optional) overrides model knobs for this run only:
+// { halfLifeDays, shrinkAlpha, goalCap, haL2, haL2Ha, walkRebuildEvery }; such runs bypass the model cache.
+// priorOnly trains on matches played before the season's first kickoff (instead of every other season);
+// details adds the per-match records (probabilities, per-match losses, bets) as `matches`.
+async function runBacktest({
+  all, comp, season, mode = "static", family = DEFAULT_MODEL_FAMILY,
+  minEv = 0.02, minP = 0.10, oddsMode = "auto", oddsStore = null, bookmaker = null, useDc = true,
+  extraMarkets = [], ahLines = DEFAULT_AH_LINES, ouLines = DEFAULT_OU_LINES, knobs = null, staking = null,
+  calibration = parseCalibration().spec, predictor = "model", priorOnly = false, details = false,
+  sides = "back", laySpread = LAY_SPREAD, strategies = []
+}) {
+  const counts = seasonCountsWithResults(all);
+
+  if (season === "auto") {
+    const auto = pickAutoBacktestSeason(counts);
+    if (!auto) {
+      return { meta: { competition: comp.id, season: "auto", note: "No seasons with played matches were found in the feeds." }, seasons: counts, summary: {}, calibration: {} };
+    }
+    season = auto;
+  }
+
+  const test = all.filter(m => m.season === season && m.kickoffISO && m.hg != null && m.ag != null);
+  if (test.length === 0) {
+    return { meta: { competition: comp.id, season, note: "No played matches found for that season." }, seasons: counts, summary: {}, calibration: {} };
+  }
+
+  const seasonStats = summarizeSeason(all.filter(m => m.season === season));
+  const baseline = baselineProbsFromSeasonStats(seasonStats);
+
+  // Static model: trained on all seasons except test (priorOnly: only what was played before it)
+  const seasonStart = test.map(m => m.kickoffISO).sort()[0];
+  const inTrain = priorOnly
+    ? (m => m.season !== season && m.kickoffISO && m.kickoffISO < seasonStart)
+    : (m => m.season !== season);
+  const staticKey = priorOnly ? `train_before_${season}` : `train_excluding_${season}`;
+  const staticModel = withCalibration(knobs
+    ? fitModel(family, all.filter(inTrain), knobs, calibration)
+    : await getModelFor(staticKey, inTrain, family, comp.id), calibration);
+  const rebuildEvery = knobs?.walkRebuildEvery ?? WALK_REBUILD_EVERY;
+
+  // Elo predictor (1X2 only): rated on the static training seasons; walk mode also rates each test match once played
+  const elo = predictor === "elo" ? computeElo(all.filter(inTrain)) : null;
+
+  // Walk-forward state
+  let walkModel = staticModel;
+  const seen = []; // prior test matches
+
+  // model version per match (export): the static build, or "<static>+N" once walk mode has refit on N test matches
+  const staticVersion = { id: staticModel?.artifactId || staticKey, trainedThrough: all.filter(m => inTrain(m) && isPlayed(m)).map(m => m.kickoffISO).sort().pop() || null };
+  let walkVersion = staticVersion;
+
+  const testSorted = [...test].sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime());
+  const oddsFixed = fixedOddsPack();
+  const oddsUsed = []; // per-match odds source (meta.roiSim.matches, detail=matches only)
+  const placedBets = []; // chronological, for the bankroll simulation
+  const matchRecords = []; // per-match detail (always collected; returned when details=true)
+  const oddsSourceCounts = { "1x2": { market: 0, fixed: 0 }, ou25: { market: 0, fixed: 0 }, ou35: { market: 0, fixed: 0 } };
+  // AH / alt totals lines: fixed prices off the training matches' base rates (nothing from the test season)
+  const lineOdds = extraMarkets.length
+    ? fixedLineOdds(baseRateGrid(all.filter(inTrain)), { ahLines, ouLines, odds: oddsFixed })
+    : null;
+  const extraEval = extraMarkets.length
+    ? createExtraMarketsEval({ markets: extraMarkets, ahLines, ouLines, minEv, minP, odds: oddsFixed, lineOdds })
+    : null;
+  const strategyEval = strategies.length ? createStrategyEval(strategies) : null;
+
+  // metrics
+  let brier1x2 = 0, logloss1x2_sum = 0, n1x2 = 0, accTop = 0;
+  let brier25 = 0, logloss25_sum = 0, n25 = 0;
+  let brier35 = 0, logloss35_sum = 0, n35 = 0;
+
+  // baselines (logloss only)
+  let baseLL_1x2 = 0, baseLL_25 = 0, baseLL_35 = 0;
+
+  // ROI (1 unit stake per bet; liability = amount at risk: the stake when backing, odds - 1 when laying)
+  const newRoi = () => ({ bets: 0, wins: 0, profit: 0, liability: 0 });
+  const roi = { oneXtwo: newRoi(), ou25: newRoi(), ou35: newRoi(), combined: newRoi() };
+  const useBack = sides !== "lay";
+  const useLay = sides !== "back";
+
+  // best qualifying side in one market: the bet's win probability >= minP, EV per unit at risk >= minEv
+  const pickBet = (cands) => cands
+    .filter(c => c.odds != null && c.pWin >= minP && c.evRisk >= minEv)
+    .sort((a, b) => b.evRisk - a.evRisk)[0] || null;
+  const backCand = (selection, p, odds, hit) =>
+    ({ side: "back", selection, p, odds, win: hit, pWin: p, evRisk: backEvOf(p, odds) });
+  const layCand = (selection, p, odds, hit) =>
+    ({ side: "lay", selection, p, odds, win: !hit, pWin: 1 - p, evRisk: layEvOf(p, odds) / (odds - 1) });
+
+  // calibration bins
+  const makeBins = () => Array.from({ length: 10 }, (_, i) => ({ bin: i, n: 0, pSum: 0, ySum: 0 }));
+  const calBins = {
+    oneXtwoTop: makeBins(),
+    oneXtwoTop_raw: makeBins(),
+    ou25_raw: makeBins(),
+    ou25_cal: makeBins(),
+    ou35_raw: makeBins(),
+    ou35_cal: makeBins()
+  };
+
+  function addCal(bins, p, y) {
+    const b = clamp(Math.floor(p * 10), 0, 9);
+    bins[b].n += 1;
+    bins[b].pSum += p;
+    bins[b].ySum += y;
+  }
+
+  function finalizeBins(bins) {
+    return bins.map(b => ({ bin: b.bin, n: b.n, pAvg: b.n ? b.pSum / b.n : null, yAvg: b.n ? b.ySum / b.n : null }));
+  }
+
+  for (let i = 0; i < testSorted.length; i++) {
+    const m = testSorted[i];
+    await yieldToEventLoop(); // walk refits are synchronous; let other requests in between matches
+
+    let modelToUse = staticModel;
+
+    if (mode === "walk") {
+      if (i > 0 && (i % rebuildEvery === 0)) {
+        const allTrain = all.filter(inTrain).concat(seen);
+        const nextModel = withCalibration(fitModel(family, allTrain, knobs || {}, calibration), calibration);
+        if (nextModel) walkVersion = { id: `${staticVersion.id}+${seen.length}`, trainedThrough: seen[seen.length - 1].kickoffISO };
+        walkModel = nextModel || walkModel;
+      }
+      modelToUse = walkModel || staticModel;
+    }
+    const modelVersion = mode === "walk" ? walkVersion : staticVersion;
+
+    if (modelToUse && !useDc) modelToUse = { ...modelToUse, rho: 0 };
+    let probs = matchProbs(modelToUse, m.home, m.away);
+    if (elo) {
+      const pElo = elo.probs(m.home, m.away, m.season);
+      probs = { ...probs, p1x2: pElo, p1x2_raw: pElo };
+    }
+
+    // observed 1x2
+    const yH = m.hg > m.ag ? 1 : 0;
+    const yD = m.hg === m.ag ? 1 : 0;
+    const yA = m.hg < m.ag ? 1 : 0;
+
+    const p = probs.p1x2;
+
+    const br1 = (p.H - yH) ** 2 + (p.D - yD) ** 2 + (p.A - yA) ** 2;
+    brier1x2 += br1;
+    const ll1 = -(yH * logSafe(p.H) + yD * logSafe(p.D) + yA * logSafe(p.A));
+    logloss1x2_sum += ll1;
+    n1x2 += 1;
+
+    const top = [{ k: "H", v: p.H }, { k: "D", v: p.D }, { k: "A", v: p.A }].sort((a, b) => b.v - a.v)[0];
+    const topY = top.k === "H" ? yH : top.k === "D" ? yD : yA;
+    accTop += topY;
+    addCal(calBins.oneXtwoTop, top.v, topY);
+    const pr1 = probs.p1x2_raw;
+    const topRaw = [{ k: "H", v: pr1.H }, { k: "D", v: pr1.D }, { k: "A", v: pr1.A }].sort((a, b) => b.v - a.v)[0];
+    addCal(calBins.oneXtwoTop_raw, topRaw.v, topRaw.k === "H" ? yH : topRaw.k === "D" ? yD : yA);
+
+    // totals observed
+    const tg = m.hg + m.ag;
+    const y25 = tg >= 3 ? 1 : 0;
+    const y35 = tg >= 4 ? 1 : 0;
+
+    addCal(calBins.ou25_raw, probs.pOver25_raw, y25);
+    addCal(calBins.ou25_cal, probs.pOver25, y25);
+    addCal(calBins.ou35_raw, probs.pOver35_raw, y35);
+    addCal(calBins.ou35_cal, probs.pOver35, y35);
+
+    const br25 = (probs.pOver25 - y25) ** 2;
+    const ll25 = -(y25 * logSafe(probs.pOver25) + (1 - y25) * logSafe(1 - probs.pOver25));
+    brier25 += br25;
+    logloss25_sum += ll25;
+    n25 += 1;
+
+    const br35 = (probs.pOver35 - y35) ** 2;
+    const ll35 = -(y35 * logSafe(probs.pOver35) + (1 - y35) * logSafe(1 - probs.pOver35));
+    brier35 += br35;
+    logloss35_sum += ll35;
+    n35 += 1;
+
+    // baseline logloss accumulation
+    const base1 = logloss1x2(baseline.p1x2, yH, yD, yA);
+    const base25 = loglossBinaryP(baseline.pOver25, y25);
+    const base35 = loglossBinaryP(baseline.pOver35, y35);
+    baseLL_1x2 += base1;
+    baseLL_25 += base25;
+    baseLL_35 += base35;
+    const betsBefore = placedBets.length;
+
+    // ROI sim using market odds when ingested, FIXED odds otherwise (so bets exist)
+    const real = marketOddsFor(oddsStore, fixtureIdOf(m), bookmaker);
+    const src = {
+      "1x2": real?.["1x2"].complete ? "market" : "fixed",
+      ou25: real?.ou25.complete ? "market" : "fixed",
+      ou35: real?.ou35.complete ? "market" : "fixed"
+    };
+    for (const k of Object.keys(src)) oddsSourceCounts[k][src[k]]++;
+    if (details) oddsUsed.push({ fixtureId: fixtureIdOf(m), oddsSource: src });
+
+    const odds1x2 = src["1x2"] === "market" ? real["1x2"].odds : oddsFixed.oneXtwo;
+    const oddsO25 = src.ou25 === "market" ? real.ou25.odds.over : oddsFixed.ou25_over;
+    const oddsO35 = src.ou35 === "market" ? real.ou35.odds.over : oddsFixed.ou35_over;
+
+    const layOdds = (mk, sel, back) => real?.[mk].lay[sel] ?? spreadLayOdds(back, laySpread);
+    const place = (key, bet) => {
+      if (!bet) return;
+      const b = { fixtureId: fixtureIdOf(m), kickoffISO: m.kickoffISO, round: m.round, market: key, selection: bet.selection, side: bet.side, p: bet.p, odds: bet.odds, win: bet.win };
+      const pr = betProfit1u(b);
+      for (const r of [roi[key], roi.combined]) {
+        r.bets++;
+        if (b.win) r.wins++;
+        r.profit += pr;
+        r.liability += betLiability1u(b);
+      }
+      placedBets.push(b);
+    };
+    const ys = { H: yH === 1, D: yD === 1, A: yA === 1 };
+
+    // 1x2: back the top pick, lay any of H/D/A (sides=), whichever qualifies with the larger edge
+    const topOdds = top.k === "H" ? odds1x2.H : top.k === "D" ? odds1x2.D : odds1x2.A;
+    place("oneXtwo", pickBet([
+      ...(useBack ? [backCand(top.k, top.v, topOdds, topY === 1)] : []),
+      ...(useLay ? ["H", "D", "A"].map(k => layCand(k, p[k], layOdds("1x2", k, odds1x2[k]), ys[k])) : [])
+    ]));
+
+    // OU2.5 / OU3.5: back or lay the over
+    place("ou25", pickBet([
+      ...(useBack ? [backCand("over", probs.pOver25, oddsO25, y25 === 1)] : []),
+      ...(useLay ? [layCand("over", probs.pOver25, layOdds("ou25", "over", oddsO25), y25 === 1)] : [])
+    ]));
+    place("ou35", pickBet([
+      ...(useBack ? [backCand("over", probs.pOver35, oddsO35, y35 === 1)] : []),
+      ...(useLay ? [layCand("over", probs.pOver35, layOdds("ou35", "over", oddsO35), y35 === 1)] : [])
+    ]));
+
+    if (extraEval) extraEval.add(probs, m);
+
+    // strategies: every 1X2 / OU selection, back and lay (unders priced like the overs: market, else the fixed pack)
+    if (strategyEval) {
+      const cands = [];
+      const addSel = (market, mk, selection, pSel, back, hit) => {
+        cands.push({ market, ...backCand(selection, pSel, back, hit) });
+        const lay = layOdds(mk, selection, back);
+        if (lay != null) cands.push({ market, ...layCand(selection, pSel, lay, hit) });
+      };
+      for (const k of ["H", "D", "A"]) addSel("oneXtwo", "1x2", k, p[k], odds1x2[k], ys[k]);
+      const totals = [["ou25", probs.pOver25, oddsO25, y25], ["ou35", probs.pOver35, oddsO35, y35]];
+      for (const [mk, pOver, over, y] of totals) {
+        const under = src[mk] === "market" ? real[mk].odds.under : oddsFixed[`${mk}_under`];
+        addSel(mk, mk, "over", pOver, over, y === 1);
+        addSel(mk, mk, "under", 1 - pOver, under, y === 0);
+      }
+      const favourite = odds1x2.H <= odds1x2.A ? "H" : "A";
+      strategyEval.add(cands, { top: top.k, favourite, underdog: favourite === "H" ? "A" : "H" });
+    }
+
+    const matchBets = placedBets.slice(betsBefore).map(b => ({
+      market: b.market, selection: b.selection, side: b.side, p: b.p, odds: b.odds, win: b.win,
+      liability: betLiability1u(b), profit: betProfit1u(b)
+    }));
+    matchRecords.push({
+      fixtureId: fixtureIdOf(m),
+      kickoffISO: m.kickoffISO,
+      season: m.season,
+      round: m.round,
+      home: m.home,
+      away: m.away,
+      model: { version: modelVersion.id, trainedThrough: modelVersion.trainedThrough, family: modelToUse?.family || family, predictor },
+      muH: probs.muH,
+      muA: probs.muA,
+      hg: m.hg,
+      ag: m.ag,
+      result: yH ? "H" : yD ? "D" : "A",
+      p1x2: p,
+      p1x2_raw: probs.p1x2_raw,
+      pOver25: probs.pOver25,
+      pOver25_raw: probs.pOver25_raw,
+      pOver35: probs.pOver35,
+      pOver35_raw: probs.pOver35_raw,
+      pBtts: bttsFromGrid(probs.grid).yes,
+      oddsSource: src,
+      logloss: { oneXtwo: ll1, ou25: ll25, ou35: ll35 },
+      brier: { oneXtwo: br1, ou25: br25, ou35: br35 },
+      baselineLogloss: { oneXtwo: base1, ou25: base25, ou35: base35 },
+      bets: matchBets,
+      profit: matchBets.reduce((a, b) => a + b.profit, 0)
+    });
+
+    if (mode === "walk") seen.push(m);
+    if (elo && mode === "walk") elo.update(m);
+  }
+
+  const fmtRoi = (x) => ({
+    ...x,
+    roi: x.bets ? x.profit / x.bets : null,
+    roiOnLiability: x.liability ? x.profit / x.liability : null,
+    winRate: x.bets ? x.wins / x.bets : null
+  });
+
+  const modelText = staticModel ? modelLabel(staticModel) : `${family} (no training data)`;
+
+  return {
+    meta: {
+      season,
+      mode,
+      competition: comp.id,
+      trainedOn: priorOnly
+        ? [...new Set(all.filter(inTrain).map(x => x.season))]
+        : comp.seasons.map(x => x.season).filter(s => s !== season),
+      model: modelText,
+      family,
+      predictor,
+      ...(elo ? { elo: eloParams(elo) } : {}),
+      thresholds: { minEv, minP },
+      xgShrink: { alpha: knobs?.shrinkAlpha ?? SHRINK_ALPHA, goalCap: knobs?.goalCap ?? GOAL_CAP },
+      knobs: knobs || null,
+      roiSim: {
+        type: oddsMode === "fixed" ? "fixed_odds" : "market_odds_fixed_fallback",
+        bookmaker: bookmaker || "best",
+        sides,
+        exchange: { commission: COMMISSION, laySpread },
+        odds: oddsFixed,
+        sources: oddsSourceCounts,
+        ...(details ? { matches: oddsUsed } : {})
+      },
+      calibrationMethod: calibration?.label || "none",
+      calibration_static: staticModel?.calibration || null,
+      dixonColes: { enabled: useDc, rho_static: staticModel?.rho ?? null },
+      extraMarkets: extraEval ? { markets: extraMarkets, ahLines, ouLines, odds: "fixed", lineOdds } : null,
+      ...(strategyEval ? { strategies: strategies.map(x => ({ key: x.key, strategy: x.name, label: x.label, params: x.params })) } : {})
+    },
+    summary: {
+      matches: testSorted.length,
+      oneXtwo: {
+        topPickAcc: n1x2 ? accTop / n1x2 : null,
+        brier: n1x2 ? brier1x2 / n1x2 : null,
+        logloss: n1x2 ? logloss1x2_sum / n1x2 : null,
+        roi: fmtRoi(roi.oneXtwo)
+      },
+      ou25: {
+        brier: n25 ? brier25 / n25 : null,
+        logloss: n25 ? logloss25_sum / n25 : null,
+        roi: fmtRoi(roi.ou25)
+      },
+      ou35: {
+        brier: n35 ? brier35 / n35 : null,
+        logloss: n35 ? logloss35_sum / n35 : null,
+        roi: fmtRoi(roi.ou35)
+      },
+      combined: fmtRoi(roi.combined),
+      baseline: {
+        oneXtwo_logloss: baseLL_1x2 / testSorted.length,
+        ou25_logloss: baseLL_25 / testSorted.length,
+        ou35_logloss: baseLL_35 / testSorted.length
+      },
+      deltaLogloss: {
+        oneXtwo: (logloss1x2_sum / n1x2) - (baseLL_1x2 / testSorted.length),
+        ou25: (logloss25_sum / n25) - (baseLL_25 / testSorted.length),
+        ou35: (logloss35_sum / n35) - (baseLL_35 / testSorted.length)
+      },
+      ...(extraEval ? { extraMarkets: extraEval.summary() } : {}),
+      ...(strategyEval ? { strategies: strategyEval.summary() } : {}),
+      ...(staking ? { staking: simulateStaking(placedBets, staking) } : {})
+    },
+    calibration: {
+      oneXtwoTop: finalizeBins(calBins.oneXtwoTop),
+      oneXtwoTop_raw: finalizeBins(calBins.oneXtwoTop_raw),
+      ou25_raw: finalizeBins(calBins.ou25_raw),
+      ou25_cal: finalizeBins(calBins.ou25_cal),
+      ou35_raw: finalizeBins(calBins.ou35_raw),
+      ou35_cal: finalizeBins(calBins.ou35_cal)
+    },
+    ...(details ? { matches: matchRecords } : {})
+  };
+}
+
+// ------------------- ROLLING-ORIGIN EVALUATION (BOOTSTRAP CIs) -------------------
+// mode=rolling: every season with results is evaluated in turn, walk-forward, on a model trained only
+// on matches played before it. Metrics are pooled over all evaluated matches; confidence intervals come
+// from a match-level bootstrap (percentile method).
+const BOOTSTRAP_DEFAULT_SAMPLES = 1000;
+const BOOTSTRAP_MAX_SAMPLES = 10000;
+const ROLLING_MARKETS = ["oneXtwo", "ou25", "ou35"];
+
+// per-match statistics pooled by plain means (ROI is profit / bets over the same sample)
+function rollingStats(records, idx) {
+  const n = idx.length;
+  const out = {};
+  for (const mk of ROLLING_MARKETS) {
+    let ll = 0, br = 0, base = 0, bets = 0, profit = 0;
+    for (const i of idx) {
+      const r = records[i];
+      ll += r.logloss[mk]; br += r.brier[mk]; base += r.baselineLogloss[mk];
+      for (const b of r.bets) if (b.market === mk) { bets++; profit += b.profit; }
+    }
+    out[mk] = { logloss: ll / n, brier: br / n, deltaLogloss: (ll - base) / n, roi: bets ? profit / bets : null, bets };
+  }
+  let bets = 0, profit = 0;
+  for (const i of idx) for (const b of records[i].bets) { bets++; profit += b.profit; }
+  out.combined = { roi: bets ? profit / bets : null, bets };
+  return out;
+}
+
+async function bootstrapIntervals(records, { samples, seed, level }) {
+  const n = records.length;
+  const point = rollingStats(records, records.map((_, i) => i));
+  const rnd = seededRandom(seed);
+  const draws = [];
+  for (let k = 0; k < samples; k++) {
+    if (k % 100 === 0) await yieldToEventLoop();
+    const idx = Array.from({ length: n }, () => Math.floor(rnd() * n));
+    draws.push(rollingStats(records, idx));
+  }
+
+  const lo = (1 - level) / 2, hi = 1 - lo;
+  const interval = (get) => {
+    const xs = draws.map(get).filter(x => x != null).sort((a, b) => a - b);
+    if (!xs.length) return null;
+    return [quantileSorted(xs, lo), quantileSorted(xs, hi)];
+  };
+  const share = (get, pred) => {
+    const xs = draws.map(get).filter(x => x != null);
+    return xs.length ? xs.filter(pred).length / xs.length : null;
+  };
+
+  const out = {};
+  for (const mk of ROLLING_MARKETS) {
+    const metric = (key) => ({ value: point[mk][key], ci: interval(d => d[mk][key]) });
+    out[mk] = {
+      logloss: metric("logloss"),
+      brier: metric("brier"),
+      deltaLogloss: { ...metric("deltaLogloss"), pBeatsBaseline: share(d => d[mk].deltaLogloss, x => x < 0) },
+      roi: { ...metric("roi"), bets: point[mk].bets, pProfitable: share(d => d[mk].roi, x => x > 0) }
+    };
+  }
+  out.combined = {
+    roi: { value: point.combined.roi, ci: interval(d => d.combined.roi), bets: point.combined.bets, pProfitable: share(d => d.combined.roi, x => x > 0) }
+  };
+  return out;
+}
+
+async function runRollingBacktest({ all, comp, bootstrap, details = false, ...opts }) {
+  const counts = seasonCountsWithResults(all);
+  const order = comp.seasons.map(s => s.season);
+  const seasons = Object.keys(counts)
+    .filter(s => counts[s].played > 0)
+    .sort((a, b) => order.indexOf(a) - order.indexOf(b) || (a < b ? -1 : a > b ? 1 : 0));
+
+  const evaluated = [], skipped = [], records = [];
+  for (const season of seasons) {
+    const start = all.filter(m => m.season === season && isPlayed(m)).map(m => m.kickoffISO).sort()[0];
+    if (!all.some(m => m.season !== season && isPlayed(m) && m.kickoffISO < start)) {
+      skipped.push({ season, reason: "no earlier played matches to train on" });
+      continue;
+    }
+    const r = await runBacktest({ ...opts, all, comp, season, mode: "walk", priorOnly: true, details: true });
+    records.push(...r.matches);
+    evaluated.push({ season, trainedOn: r.meta.trainedOn, model: r.meta.model, summary: r.summary });
+  }
+
+  const summary = records.length
+    ? { matches: records.length, ...(await bootstrapIntervals(records, bootstrap)) }
+    : {};
+
+  return {
+    meta: {
+      competition: comp.id,
+      mode: "rolling",
+      family: opts.family,
+      predictor: opts.predictor || "model",
+      calibrationMethod: opts.calibration?.label || "none",
+      thresholds: { minEv: opts.minEv, minP: opts.minP },
+      seasonsEvaluated: evaluated.map(s => s.season),
+      skipped,
+      bootstrap: { ...bootstrap, unit: "match", method: "percentile" },
+      ...(records.length ? {} : { note: "No season had earlier played matches to train on." })
+    },
+    summary,
+    seasons: evaluated,
+    ...(details ? { matches: records } : {})
+  };
+}
+
+// ------------------- BACKTEST EXPORT (CSV / JSON LINES) -------------------
+// One row per test match from runBacktest's match records; bets are packed into one column
+// as "market:selection:side@odds=profit" joined by "|".
+const BACKTEST_FORMATS = ["json", "csv", "jsonl"];
+const BACKTEST_DETAILS = ["summary", "matches"];
+
+const BACKTEST_EXPORT_COLUMNS = [
+  ["fixtureId", r => r.fixtureId],
+  ["kickoffISO", r => r.kickoffISO],
+  ["season", r => r.season],
+  ["round", r => r.round],
+  ["home", r => r.home],
+  ["away", r => r.away],
+  ["modelVersion", r => r.model.version],
+  ["trainedThrough", r => r.model.trainedThrough],
+  ["family", r => r.model.family],
+  ["predictor", r => r.model.predictor],
+  ["muH", r => r.muH],
+  ["muA", r => r.muA],
+  ["pH_raw", r => r.p1x2_raw.H],
+  ["pD_raw", r => r.p1x2_raw.D],
+  ["pA_raw", r => r.p1x2_raw.A],
+  ["pH", r => r.p1x2.H],
+  ["pD", r => r.p1x2.D],
+  ["pA", r => r.p1x2.A],
+  ["pOver25_raw", r => r.pOver25_raw],
+  ["pOver25", r => r.pOver25],
+  ["pOver35_raw", r => r.pOver35_raw],
+  ["pOver35", r => r.pOver35],
+  ["pBtts", r => r.pBtts],
+  ["hg", r => r.hg],
+  ["ag", r => r.ag],
+  ["result", r => r.result],
+  ["oddsSource1x2", r => r.oddsSource["1x2"]],
+  ["oddsSourceOu25", r => r.oddsSource.ou25],
+  ["oddsSourceOu35", r => r.oddsSource.ou35],
+  ["logloss1x2", r => r.logloss.oneXtwo],
+  ["loglossOu25", r => r.logloss.ou25],
+  ["loglossOu35", r => r.logloss.ou35],
+  ["bets", r => r.bets.length],
+  ["betDetail", r => r.bets.map(b => `${b.market}:${b.selection}:${b.side}@${b.odds}=${b.profit}`).join("|")],
+  ["profit", r => r.profit]
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// writes lines to the response, waiting for drain so large exports don't buffer in memory;
+// stops as soon as the client goes away
+async function writeLines(res, lines) {
+  for (const line of lines) {
+    if (res.destroyed) return;
+    if (!res.write(`${line}\n`)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.once("drain", done);
+        res.once("close", done);
+      });
+    }
+  }
+  if (!res.destroyed) res.end();
+}
+
+async function sendBacktestExport(res, format, records, name) {
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+    return writeLines(res, (function* () {
+      yield BACKTEST_EXPORT_COLUMNS.map(([col]) => col).join(",");
+      for (const r of records) yield BACKTEST_EXPORT_COLUMNS.map(([, f]) => csvCell(f(r))).join(",");
+    })());
+  }
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.jsonl"`);
+  return writeLines(res, (function* () {
+    for (const r of records) yield JSON.stringify(r);
+  })());
+}
+
+// backtest: mode=static|walk
+app.get("/api/backtest", async (req, res) => {
+  try {
+    const season = String(req.query.season || "auto");
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+
+    const minEv = finiteParam(req.query.min_ev, 0.02, 0, 10);
+    const minP = finiteParam(req.query.min_p, 0.10, 0, 1);
+    const mode = String(req.query.mode || "static"); // static, walk or rolling
+    if (!["static", "walk", "rolling"].includes(mode)) return res.status(400).json({ error: "mode must be static, walk or rolling" });
+    const oddsMode = String(req.query.odds || "auto"); // auto (market, fixed fallback) or fixed
+    const bookmaker = req.query.bookmaker ? String(req.query.bookmaker) : null;
+    const useDc = String(req.query.dc || "1") === "1"; // dc=0 scores the same fits without the tau correction
+    const family = resolveFamily(req.query.model);
+    if (!family) return res.status(400).json(unknownFamilyError(req.query.model));
+    // extra markets (opt-in): markets=btts,cs,ah,ou
+    const extraMarkets = String(req.query.markets || "").split(",").map(x => x.trim()).filter(x => EXTRA_MARKETS.includes(x));
+    const ahLines = parseLines(req.query.ah_lines, DEFAULT_AH_LINES, -3, 3);
+    const ouLines = parseLines(req.query.ou_lines, DEFAULT_OU_LINES, 0.5, 5.5);
+    // bankroll simulation (opt-in): staking=flat|kelly|fractional_kelly|fixed_pct
+    const { opts: staking, error: stakingError } = parseStakingOpts(req.query);
+    if (stakingError) return res.status(400).json({ error: stakingError });
+    // calibration=platt|isotonic|none [+ temperature|vector|draw for 1X2]
+    const { spec: calibration, error: calError } = parseCalibration(req.query.calibration);
+    if (calError) return res.status(400).json({ error: calError });
+    // predictor=elo swaps the 1X2 probabilities for the Elo predictor (totals stay on the model)
+    const predictor = String(req.query.predictor || "model");
+    if (!BACKTEST_PREDICTORS.includes(predictor)) return res.status(400).json({ error: `predictor must be one of ${BACKTEST_PREDICTORS.join(", ")}` });
+    // exchange side of the ROI sim: back (default), lay or both (per market, the side with the larger edge)
+    const sides = String(req.query.sides || "back");
+    if (!BET_SIDES.includes(sides)) return res.status(400).json({ error: `sides must be one of ${BET_SIDES.join(", ")}` });
+    const laySpread = finiteParam(req.query.lay_spread, LAY_SPREAD, 0, 1);
+    // mode=rolling: bootstrap resamples, CI level and seed
+    const bootstrapSamples = finiteParam(req.query.bootstrap, BOOTSTRAP_DEFAULT_SAMPLES, 100, BOOTSTRAP_MAX_SAMPLES);
+    const ciLevel = finiteParam(req.query.ci, 0.95, 0.5, 0.999);
+    const bootstrapSeed = finiteParam(req.query.seed, 1, -Infinity, Infinity);
+    const numError = nonFiniteParamError({
+      min_ev: minEv, min_p: minP, ah_lines: ahLines, ou_lines: ouLines,
+      lay_spread: laySpread, bootstrap: bootstrapSamples, ci: ciLevel, seed: bootstrapSeed
+    });
+    if (numError) return res.status(400).json(numError);
+    // named strategies compared side by side: strategies=all_1x2,unders(min_ev=0.05),... (or all)
+    const { specs: strategies, error: strategyError, strategies: known } = parseStrategies(req.query.strategies, { minEv, minP });
+    if (strategyError) return res.status(400).json({ error: strategyError, ...(known ? { strategies: known } : {}) });
+    // format=json|csv|jsonl; detail=matches adds one record per test match (csv/jsonl are per-match only)
+    const format = String(req.query.format || "json");
+    if (!BACKTEST_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${BACKTEST_FORMATS.join(", ")}` });
+    const detail = String(req.query.detail || (format === "json" ? "summary" : "matches"));
+    if (!BACKTEST_DETAILS.includes(detail)) return res.status(400).json({ error: `detail must be one of ${BACKTEST_DETAILS.join(", ")}` });
+    if (format !== "json" && detail !== "matches") return res.status(400).json({ error: `format=${format} exports per-match rows; use detail=matches` });
+    const details = detail === "matches";
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const oddsStore = oddsMode === "fixed" ? null : await loadOddsStore();
+
+    if (mode === "rolling") {
+      // rolling: every season with results (season= is ignored), bootstrap CIs on the pooled metrics
+      const bootstrap = {
+        samples: Math.round(bootstrapSamples),
+        level: ciLevel,
+        seed: bootstrapSeed
+      };
+      const result = await runRollingBacktest({
+        all, comp, family, minEv, minP, oddsMode, oddsStore, bookmaker, useDc,
+        extraMarkets, ahLines, ouLines, staking, calibration, predictor, sides, laySpread, strategies, bootstrap, details
+      });
+      if (format === "json") return res.json(result);
+      if (result.meta.note) return res.status(404).json({ error: result.meta.note, meta: result.meta });
+      return sendBacktestExport(res, format, result.matches || [], `backtest-${comp.id}-rolling`);
+    }
+
+    const result = await runBacktest({
+      all, comp, season, mode, family, minEv, minP, oddsMode, oddsStore, bookmaker, useDc,
+      extraMarkets, ahLines, ouLines, staking, calibration, predictor, sides, laySpread, strategies, details
+    });
+    if (format === "json") return res.json(result);
+    // nothing was backtested: say why rather than send a header-only file
+    if (result.meta.note) return res.status(404).json({ error: result.meta.note, meta: result.meta, seasons: result.seasons });
+    await sendBacktestExport(res, format, result.matches || [], `backtest-${comp.id}-${result.meta.season}-${mode}`.replace(/[^\w.-]+/g, "_"));
+  } catch (e) {
+    if (res.headersSent) return res.destroy(); // failed mid-export: cut the download short
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// hyperparameter search over walk-forward backtests (background job)
+app.post("/api/tune", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const comp = getCompetition(body.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(body.competition));
+    const family = resolveFamily(body.model);
+    if (!family) return res.status(400).json(unknownFamilyError(body.model));
+
+    const search = String(body.search || "grid");
+    if (search !== "grid" && search !== "random") return res.status(400).json({ error: "search must be grid or random" });
+    const mode = String(body.mode || "walk");
+    if (mode !== "walk" && mode !== "static") return res.status(400).json({ error: "mode must be walk or static" });
+    const rankBy = String(body.rank_by || "combined");
+    if (!TUNE_RANK_BY.includes(rankBy)) return res.status(400).json({ error: `rank_by must be one of ${TUNE_RANK_BY.join(", ")}` });
+
+    const known = new Set(comp.seasons.map(s => s.season));
+    const seasons = (Array.isArray(body.seasons) ? body.seasons : body.season ? [body.season] : []).map(String);
+    const badSeason = seasons.find(s => !known.has(s));
+    if (badSeason) return res.status(400).json({ error: `unknown season "${badSeason}" for ${comp.id}` });
+
+    const samplesArg = finiteParam(body.samples, 20, 1, TUNE_MAX_CONFIGS);
+    const seed = finiteParam(body.seed, Date.now(), -Infinity, Infinity);
+    const numError = nonFiniteParamError({ samples: samplesArg, seed });
+    if (numError) return res.status(400).json(numError);
+    const samples = Math.round(samplesArg);
+
+    const pending = [...tuneJobs.byId.values()].filter(j => j.status === "queued" || j.status === "running").length;
+    if (pending >= TUNE_MAX_PENDING) {
+      return res.status(429).json({ error: `${pending} tune jobs are already queued or running (max ${TUNE_MAX_PENDING}); retry when one finishes` });
+    }
+
+    let configs;
+    try {
+      const space = validateTuneSpace(body.space || TUNE_DEFAULT_SPACE, search);
+      configs = tuneConfigs(space, search, samples, seed);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, tunable: Object.keys(TUNE_PARAMS) });
+    }
+
+    const job = {
+      id: `tune-${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      request: { competition: comp.id, family, seasons, search, mode, rankBy, samples: search === "random" ? samples : null, seed: search === "random" ? seed : null },
+      configs,
+      progress: { done: 0, total: configs.length }
+    };
+    enqueueTuneJob(job);
+
+    res.status(202).json({ jobId: job.id, status: job.status, configs: configs.length, statusUrl: `/api/tune/${job.id}` });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/tune/:jobId", (req, res) => {
+  const job = tuneJobs.byId.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: `unknown tune job "${req.params.jobId}"` });
+  res.json(tuneJobView(job));
+});
+
+// bet ledger: record a placed bet against a /api/value fixtureId
+app.post("/api/bets", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const comp = getCompetition(body.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(body.competition));
+
+    const { spec, error } = parseBetSpec(body);
+    if (error) return res.status(400).json({ error });
+    const odds = toOdds(body.odds);
+    if (odds == null) return res.status(400).json({ error: "odds must be decimal odds > 1" });
+    const stake = Number(body.stake);
+    if (!(stake > 0)) return res.status(400).json({ error: "stake must be > 0" });
+    const commission = body.commission == null ? COMMISSION : Number(body.commission);
+    if (!(commission >= 0 && commission < 1)) return res.status(400).json({ error: "commission must be in [0, 1)" });
+    const placedAt = body.placedAt ? parseDateFlexible(body.placedAt) : new Date();
+    if (!placedAt) return res.status(400).json({ error: "placedAt is not a valid date" });
+
+    const fixtureId = normalizeFixtureId(String(body.fixtureId || ""));
+    const all = await loadAllSeasonsUnified(comp.id);
+    const m = all.find(x => fixtureIdOf(x) === fixtureId);
+    if (!m) return res.status(400).json({ error: `unknown fixtureId "${body.fixtureId}" for ${comp.id}` });
+
+    // model probability at placement: explicit p wins, otherwise the requested/default model
+    let modelInfo;
+    if (body.p != null) {
+      const p = Number(body.p);
+      if (!(p >= 0 && p <= 1)) return res.status(400).json({ error: "p must be in [0, 1]" });
+      modelInfo = { source: "client", p, ev: p * (odds - 1) * (1 - commission) - (1 - p) };
+    } else {
+      const { model, error: modelError } = await resolveRequestModel({ query: { competition: comp.id, model: body.model, model_id: body.model_id } });
+      if (modelError) return res.status(modelError.status).json(modelError.body);
+      const probs = model ? matchProbs(model, m.home, m.away) : null;
+      const d = probs ? betModelDist(probs, spec) : null;
+      modelInfo = d
+        ? {
+          source: "model", modelId: model.artifactId || null, family: model.family,
+          p: d.win + d.halfWin, dist: d,
+          ev: (d.win + d.halfWin / 2) * (odds - 1) * (1 - commission) - d.loss - d.halfLoss / 2
+        }
+        : { source: "none", p: null, ev: null };
+    }
+
+    const bet = {
+      id: `bet-${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+      createdAt: new Date().toISOString(),
+      placedAt: placedAt.toISOString(),
+      competition: comp.id,
+      fixtureId,
+      kickoffISO: m.kickoffISO,
+      home: m.home,
+      away: m.away,
+      ...spec,
+      odds,
+      stake,
+      commission,
+      bookmaker: body.bookmaker ? String(body.bookmaker) : null,
+      note: body.note ? String(body.note) : null,
+      model: modelInfo,
+      status: "open",
+      settle: null,
+      result: null,
+      pnl: null,
+      settledAt: null
+    };
+
+    // a fixture that already has its result settles straight away
+    const saved = await withLedger(byId => {
+      byId.set(bet.id, bet);
+      settleOpenBets(byId, new Map([[fixtureId, m]]));
+      return { result: bet, changed: true };
+    });
+    res.status(201).json(saved);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// bet ledger: list (status=open|settled|won|lost|..., competition=, fixture=, market=)
+app.get("/api/bets", async (req, res) => {
+  try {
+    if (req.query.competition) {
+      const comp = getCompetition(req.query.competition);
+      if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+      await loadAllSeasonsUnified(comp.id); // a feed refresh settles anything newly final
+    }
+    const status = req.query.status ? String(req.query.status) : null;
+    const fixture = req.query.fixture ? normalizeFixtureId(String(req.query.fixture)) : null;
+    const marketKey = String(req.query.market || "").toLowerCase();
+    const market = req.query.market ? (Object.hasOwn(BET_MARKETS, marketKey) ? BET_MARKETS[marketKey].market : String(req.query.market)) : null;
+
+    const bets = (await withLedger(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(b => !req.query.competition || b.competition === req.query.competition)
+      .filter(b => !status || (status === "settled" ? b.status !== "open" : b.status === status))
+      .filter(b => !fixture || b.fixtureId === fixture)
+      .filter(b => !market || b.market === market)
+      .sort((a, b) => (a.placedAt < b.placedAt ? -1 : a.placedAt > b.placedAt ? 1 : 0));
+
+    const oddsStore = await loadOddsStore();
+    res.json({ file: BETS_FILE, count: bets.length, bets: bets.map(b => ({ ...b, clv: clvFor(oddsStore, b) })) });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
-app.get("/api/diagnostics", async (req, res) => {
+// bet ledger: realised P&L / ROI and model probability at placement vs outcome
+app.get("/api/bets/summary", async (req, res) => {
   try {
-    const all = await loadAllSeasonsUnified();
-    const bySeason = {};
-    for (const s of SEASON_FEEDS.map(x => x.season)) {
-      bySeason[s] = summarizeSeason(all.filter(m => m.season === s));
+    const compIds = req.query.competition ? [String(req.query.competition)] : COMPETITIONS.map(c => c.id);
+    for (const id of compIds) {
+      if (!getCompetition(id)) return res.status(400).json(unknownCompetitionError(id));
+    }
+    // a feed refresh settles anything newly final; an unavailable feed only leaves its bets as they were
+    const errors = [];
+    for (const id of compIds) {
+      try {
+        await loadAllSeasonsUnified(id);
+      } catch (e) {
+        errors.push({ competition: id, error: e?.message || String(e) });
+      }
     }
-    res.json({ seasons: bySeason });
+
+    const bets = (await withLedger(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(b => compIds.includes(b.competition));
+    res.json({ competition: req.query.competition || "all", ...summarizeBets(bets), errors });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
-// upcoming fixtures (latest season label in config)
-app.get("/api/fixtures", async (req, res) => {
+app.delete("/api/bets/:id", async (req, res) => {
   try {
-    const days = clamp(Number(req.query.days || 14), 1, 90);
-    const limit = clamp(Number(req.query.limit || 40), 1, 200);
-
-    const all = await loadAllSeasonsUnified();
-    const latestSeason = all.filter(m => m.season === "2025/26");
-
-    const now = Date.now();
-    const horizon = now + days * 24 * 3600 * 1000;
-
-    const upcoming = latestSeason
-      .filter(m => m.kickoffISO &&
-        new Date(m.kickoffISO).getTime() >= (now - 2 * 3600 * 1000) &&
-        new Date(m.kickoffISO).getTime() <= horizon)
-      .sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime())
-      .slice(0, limit);
-
-    res.json({ days, limit, count: upcoming.length, matches: upcoming });
+    const removed = await withLedger(byId => {
+      const bet = byId.get(req.params.id) || null;
+      if (bet) byId.delete(bet.id);
+      return { result: bet, changed: !!bet };
+    });
+    if (!removed) return res.status(404).json({ error: `unknown bet "${req.params.id}"` });
+    res.json({ deleted: removed.id, bet: removed });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
-// team stats (home/away splits)
-app.get("/api/teams", async (req, res) => {
+// Monte Carlo season: ladder / Premiers' Plate / top-N odds from the remaining fixtures
+app.get("/api/simulate/season", async (req, res) => {
   try {
-    const model = await getDefaultModel();
-    if (!model) return res.json({ meta: {}, teams: [] });
-
-    const teams = model.teams.map(t => {
-      const tm = model.teamMeta[t] || {};
-      const attackHome = Math.exp(tm.attH ?? 0);
-      const defenceHome = Math.exp(-(tm.defH ?? 0));
-      const attackAway = Math.exp(tm.attA ?? 0);
-      const defenceAway = Math.exp(-(tm.defA ?? 0));
-
-      return {
-        team: t,
-        games: tm.games ?? 0,
-        homeGames: tm.homeGames ?? 0,
-        awayGames: tm.awayGames ?? 0,
-        attH: tm.attH ?? 0,
-        defH: tm.defH ?? 0,
-        attA: tm.attA ?? 0,
-        defA: tm.defA ?? 0,
-        attackHome,
-        defenceHome,
-        attackAway,
-        defenceAway
-      };
+    const { comp, family, model: fitted, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    const season = String(req.query.season || currentSeasonOf(comp));
+    if (!comp.seasons.some(s => s.season === season)) return res.status(400).json({ error: `unknown season "${season}" for ${comp.id}` });
+    const sims = finiteParam(req.query.sims, SIM_DEFAULT_RUNS, 100, SIM_MAX_RUNS);
+    const seed = finiteParam(req.query.seed, 1, -Infinity, Infinity);
+    const top = finiteParam(req.query.top, 6, 1, 20);
+    const numError = nonFiniteParamError({ sims, seed, top });
+    if (numError) return res.status(400).json(numError);
+    const runs = Math.round(sims);
+    const finalsSpots = Math.round(top);
+    const useDc = String(req.query.dc || "1") === "1";
+
+    const model = fitted && !useDc ? { ...fitted, rho: 0 } : fitted;
+    const all = await loadAllSeasonsUnified(comp.id);
+    const fixtures = seasonLadderFixtures(all.filter(m => m.season === season));
+    if (!fixtures.teams.length) return res.status(400).json({ error: `no fixtures for ${comp.id} ${season}` });
+
+    const out = simulateSeason(model, fixtures, { runs, seed, finalsSpots });
+    res.json({
+      meta: {
+        competition: comp.id,
+        season,
+        modelId: model?.artifactId || null,
+        model: modelLabel(model),
+        family,
+        dixonColes: { enabled: useDc, rho: model?.rho ?? null },
+        sims: runs,
+        seed,
+        finalsSpots,
+        tieBreakers: LADDER_TIE_BREAKERS,
+        played: fixtures.played.length,
+        remaining: fixtures.remaining.length,
+        teamsOutsideModel: fixtures.teams.filter(t => !model?.idx.has(t))
+      },
+      table: out.table,
+      teams: out.teams
     });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    teams.sort((a, b) => {
-      const sa = (a.attackHome + a.defenceHome + a.attackAway + a.defenceAway);
-      const sb = (b.attackHome + b.defenceHome + b.attackAway + b.defenceAway);
-      return sb - sa;
-    });
+// finals series: top-six bracket from a seeding= list or the simulated ladder
+app.get("/api/simulate/finals", async (req, res) => {
+  try {
+    const { comp, family, model: fitted, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    const season = String(req.query.season || currentSeasonOf(comp));
+    if (!comp.seasons.some(s => s.season === season)) return res.status(400).json({ error: `unknown season "${season}" for ${comp.id}` });
+    const sims = finiteParam(req.query.sims, SIM_DEFAULT_RUNS, 100, SIM_MAX_RUNS);
+    const seed = finiteParam(req.query.seed, 1, -Infinity, Infinity);
+    const pensHomeWin = finiteParam(req.query.pens_home_win, 0.5, 0, 1);
+    const numError = nonFiniteParamError({ sims, seed, pens_home_win: pensHomeWin });
+    if (numError) return res.status(400).json(numError);
+    const runs = Math.round(sims);
+    const useDc = String(req.query.dc || "1") === "1";
+
+    const venue = String(req.query.venue || "home");
+    if (!FINALS_VENUES.includes(venue)) return res.status(400).json({ error: `venue must be one of ${FINALS_VENUES.join(", ")}` });
+    const gfVenue = String(req.query.gf_venue || venue);
+    if (!FINALS_VENUES.includes(gfVenue)) return res.status(400).json({ error: `gf_venue must be one of ${FINALS_VENUES.join(", ")}` });
+    const drawResolution = String(req.query.draw_resolution || "extra_time");
+    if (!FINALS_DRAW_RESOLUTIONS.includes(drawResolution)) {
+      return res.status(400).json({ error: `draw_resolution must be one of ${FINALS_DRAW_RESOLUTIONS.join(", ")}` });
+    }
+
+    const model = fitted && !useDc ? { ...fitted, rho: 0 } : fitted;
+    const all = await loadAllSeasonsUnified(comp.id);
+    const fixtures = seasonLadderFixtures(all.filter(m => m.season === season));
+
+    // seeding=Team1,Team2,...,Team6 (aliases accepted)
+    let seeding = null;
+    if (req.query.seeding) {
+      seeding = String(req.query.seeding).split(",").map(s => resolveTeam(s.trim()));
+      const unknown = seeding.filter(t => !t.known || t.id === "tbd");
+      if (unknown.length) return res.status(400).json({ error: "unknown team in seeding", unknown: unknown.map(t => t.name) });
+      seeding = seeding.map(t => t.name);
+      if (seeding.length !== FINALS_SPOTS || new Set(seeding).size !== FINALS_SPOTS) {
+        return res.status(400).json({ error: `seeding must list ${FINALS_SPOTS} distinct teams, 1st to ${FINALS_SPOTS}th` });
+      }
+    } else if (fixtures.teams.length < FINALS_SPOTS) {
+      return res.status(400).json({ error: `${comp.id} ${season} has fewer than ${FINALS_SPOTS} teams; pass seeding=` });
+    }
 
+    const teams = simulateFinals(model, { seeding, fixtures }, { runs, seed, venue, gfVenue, drawResolution, pensHomeWin });
     res.json({
       meta: {
-        model: `Poisson+TimeDecay+HA (HL ${model.halfLifeDays}d) + xG-shrink + Platt(guarded)`,
-        minGamesPerTeam: model.minGamesPerTeam,
-        leagueAvgGoals: model.leagueAvgGoals,
-        xgShrink: { alpha: SHRINK_ALPHA, goalCap: GOAL_CAP },
-        calibration: model.calibration || null
+        competition: comp.id,
+        season,
+        modelId: model?.artifactId || null,
+        model: modelLabel(model),
+        family,
+        dixonColes: { enabled: useDc, rho: model?.rho ?? null },
+        sims: runs,
+        seed,
+        bracket: seeding ? "seeding" : "simulated ladder",
+        seeding,
+        format: {
+          eliminationFinals: ["3v6", "4v5"],
+          semiFinals: "two legs (aggregate): 1st v lowest surviving seed, 2nd v other; first leg at lower seed",
+          grandFinal: "single leg, higher seed hosts"
+        },
+        venue,
+        gfVenue,
+        homeAdvantage: venue === "home" || gfVenue === "home" ? model?.ha ?? null : null,
+        drawResolution,
+        extraTimeScale: drawResolution === "extra_time" ? EXTRA_TIME_SCALE : null,
+        pensHomeWin
       },
       teams
     });
@@ -768,333 +5874,512 @@ app.get("/api/teams", async (req, res) => {
   }
 });
 
-// value endpoint (synthetic odds remain fine for UI ranking; totals show raw->cal)
-function synthOdds1x2(pH, pD, pA, margin = 0.055) {
-  const sum = pH + pD + pA;
-  if (sum <= 0) return { H: null, D: null, A: null };
-  pH /= sum; pD /= sum; pA /= sum;
-  const qH = pH * (1 + margin), qD = pD * (1 + margin), qA = pA * (1 + margin);
-  return { H: 1 / qH, D: 1 / qD, A: 1 / qA };
-}
-function synthOddsBinary(p, margin = 0.05) {
-  const q = clamp(p * (1 + margin), 0.02, 0.98);
-  return 1 / q;
-}
-
-app.get("/api/value", async (req, res) => {
+// one-call match review: full scoreline grid, mu breakdown, form, head-to-head, calibration
+app.get("/api/matches/:fixtureId/preview", async (req, res) => {
   try {
-    const days = clamp(Number(req.query.days || 14), 1, 90);
-    const limit = clamp(Number(req.query.limit || 25), 1, 200);
-    const minEv = clamp(Number(req.query.min_ev || 0), 0, 10);
-    const minP = clamp(Number(req.query.min_p || 0), 0, 1);
-    const minSample = String(req.query.min_sample || "1") === "1";
-
-    const model = await getDefaultModel();
-    const all = await loadAllSeasonsUnified();
-    const latestSeason = all.filter(m => m.season === "2025/26");
-
-    const now = Date.now();
-    const horizon = now + days * 24 * 3600 * 1000;
-
-    const upcoming = latestSeason
-      .filter(m => m.kickoffISO &&
-        new Date(m.kickoffISO).getTime() >= (now - 2 * 3600 * 1000) &&
-        new Date(m.kickoffISO).getTime() <= horizon)
-      .sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime())
-      .slice(0, limit);
-
-    const ui = upcoming.map(m => {
-      const probs = matchProbs(model, m.home, m.away);
-      const p = probs.p1x2;
-
-      const odds1x2 = synthOdds1x2(p.H, p.D, p.A, 0.055);
-      const oddsOver25 = synthOddsBinary(probs.pOver25, 0.05);
-      const oddsOver35 = synthOddsBinary(probs.pOver35, 0.05);
+    const { comp, family, model: fitted, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    const useDc = String(req.query.dc || "1") === "1";
+    const form = finiteParam(req.query.form, 5, 1, 20);
+    const h2h = finiteParam(req.query.h2h, 10, 1, 50);
+    const numError = nonFiniteParamError({ form, h2h });
+    if (numError) return res.status(400).json(numError);
+    const formN = Math.round(form);
+    const h2hN = Math.round(h2h);
+
+    const model = fitted && !useDc ? { ...fitted, rho: 0 } : fitted;
+    const all = await loadAllSeasonsUnified(comp.id);
+    const fixtureId = normalizeFixtureId(String(req.params.fixtureId));
+    const m = all.find(x => fixtureIdOf(x) === fixtureId);
+    if (!m) return res.status(404).json({ error: `unknown fixtureId "${req.params.fixtureId}" for ${comp.id}` });
+
+    const probs = matchProbs(model, m.home, m.away);
+    const beforeISO = m.kickoffISO || new Date().toISOString();
 
-      return {
-        fixtureId: (m.kickoffISO || "") + "|" + m.home + "|" + m.away,
-        league: `A-LEAGUE (MEN)${m.round ? ` • Round ${m.round}` : ""}${m.location ? ` • ${m.location}` : ""}`,
-        kickoffLocal: m.kickoffLocal,
+    res.json({
+      meta: {
+        competition: comp.id,
+        modelId: model?.artifactId || null,
+        model: modelLabel(model),
+        family,
+        familyParams: model?.familyParams || null,
+        dixonColes: { enabled: useDc, rho: model?.rho ?? null },
+        leagueAvgGoals: model?.leagueAvgGoals || null,
+        maxGoals: MAX_GOALS
+      },
+      fixture: {
+        fixtureId,
+        season: m.season,
+        round: m.round,
+        location: m.location,
         kickoffISO: m.kickoffISO,
+        kickoffLocal: m.kickoffLocal,
         home: m.home,
         away: m.away,
-        model: { muH: probs.muH, muA: probs.muA, okSample: probs.okSample },
-        markets: {
-          "1x2": { probs: p, odds: odds1x2 },
-          "ou25": { line: 2.5, probOver_raw: probs.pOver25_raw, probOver: probs.pOver25, oddsOver: oddsOver25 },
-          "ou35": { line: 3.5, probOver_raw: probs.pOver35_raw, probOver: probs.pOver35, oddsOver: oddsOver35 }
-        }
-      };
+        result: isPlayed(m) ? { hg: m.hg, ag: m.ag } : null
+      },
+      model: {
+        muH: probs.muH,
+        muA: probs.muA,
+        okSample: probs.okSample,
+        games: { home: model?.teamMeta?.[m.home]?.games || 0, away: model?.teamMeta?.[m.away]?.games || 0 },
+        muBreakdown: muBreakdown(model, m.home, m.away)
+      },
+      probabilities: {
+        "1x2": { raw: probs.p1x2_raw, calibrated: probs.p1x2 },
+        ou25: { raw: probs.pOver25_raw, calibrated: probs.pOver25 },
+        ou35: { raw: probs.pOver35_raw, calibrated: probs.pOver35 },
+        btts: bttsFromGrid(probs.grid)
+      },
+      calibration: {
+        method: model?.calibrationMethod || null,
+        calibrators: model?.calibration || null,
+        applied: { "1x2": !!model?.calibration?.oneXtwo, ou25: !!model?.calibration?.ou25, ou35: !!model?.calibration?.ou35 },
+        note: "calibration adjusts the 1X2 and OU2.5/OU3.5 probabilities only; the grid is uncalibrated"
+      },
+      // grid[hg][ag], rows = home goals 0..MAX_GOALS
+      grid: probs.grid,
+      form: {
+        home: recentForm(all, m.home, beforeISO, formN),
+        away: recentForm(all, m.away, beforeISO, formN)
+      },
+      headToHead: headToHead(all, m.home, m.away, beforeISO, h2hN)
     });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    const filtered = ui.filter(m => {
-      if (minSample && m.model?.okSample !== true) return false;
-      if (minEv <= 0 && minP <= 0) return true;
+// in-play: pre-match mus conditioned on minute, score and red cards (red_h / red_a)
+app.get("/api/inplay/:fixtureId", async (req, res) => {
+  try {
+    const { comp, family, model: fitted, error } = await resolveRequestModel(req);
+    if (error) return res.status(error.status).json(error.body);
+    const useDc = String(req.query.dc || "1") === "1";
 
-      const cands = [];
-      const p = m.markets["1x2"].probs;
-      const o = m.markets["1x2"].odds;
-      cands.push({ p: p.H, odds: o.H });
-      cands.push({ p: p.D, odds: o.D });
-      cands.push({ p: p.A, odds: o.A });
-      cands.push({ p: m.markets["ou25"].probOver, odds: m.markets["ou25"].oddsOver });
-      cands.push({ p: m.markets["ou35"].probOver, odds: m.markets["ou35"].oddsOver });
-
-      return cands.some(x =>
-        x.p != null && x.odds != null &&
-        x.p >= minP &&
-        (x.p * (x.odds - 1) * (1 - COMMISSION) - (1 - x.p) >= minEv)
-      );
-    });
+    const minute = Number(req.query.minute);
+    if (req.query.minute == null || !Number.isFinite(minute) || minute < 0 || minute > INPLAY_MATCH_MINUTES) {
+      return res.status(400).json({ error: `minute is required (0-${INPLAY_MATCH_MINUTES}; stoppage time counts as ${INPLAY_MATCH_MINUTES})` });
+    }
+    const count = (v, max) => {
+      const n = Number(v ?? 0);
+      return Number.isInteger(n) && n >= 0 && n <= max ? n : null;
+    };
+    const hg = count(req.query.hg, 20), ag = count(req.query.ag, 20);
+    if (hg == null || ag == null) return res.status(400).json({ error: "hg and ag must be whole numbers of goals" });
+    const redH = count(req.query.red_h, 4), redA = count(req.query.red_a, 4);
+    if (redH == null || redA == null) return res.status(400).json({ error: "red_h and red_a must be 0-4" });
+    const ouLines = parseLines(req.query.ou_lines, DEFAULT_OU_LINES, 0.5, 20.5);
+    const numError = nonFiniteParamError({ ou_lines: ouLines });
+    if (numError) return res.status(400).json(numError);
+
+    const model = fitted && !useDc ? { ...fitted, rho: 0 } : fitted;
+    const all = await loadAllSeasonsUnified(comp.id);
+    const fixtureId = normalizeFixtureId(String(req.params.fixtureId));
+    const m = all.find(x => fixtureIdOf(x) === fixtureId);
+    if (!m) return res.status(404).json({ error: `unknown fixtureId "${req.params.fixtureId}" for ${comp.id}` });
+
+    const pre = matchProbs(model, m.home, m.away);
+    const state = { minute, hg, ag, redH, redA };
 
     res.json({
       meta: {
-        model: model ? `Poisson+TimeDecay+HA (HL ${model.halfLifeDays}d) + xG-shrink + Platt(guarded)` : "neutral",
-        calibration: model?.calibration || null,
-        leagueAvgGoals: model?.leagueAvgGoals || null,
-        minGamesPerTeam: model?.minGamesPerTeam || 0,
-        xgShrink: { alpha: SHRINK_ALPHA, goalCap: GOAL_CAP }
+        competition: comp.id,
+        modelId: model?.artifactId || null,
+        model: modelLabel(model),
+        family,
+        intensity: { profile: "linear", lateSlope: INPLAY_LATE_SLOPE, matchMinutes: INPLAY_MATCH_MINUTES },
+        redCard: { own: RED_CARD_OWN, opponent: RED_CARD_OPP },
+        restOfMatch: "independent Poisson (no Dixon-Coles on the remainder)"
       },
-      matches: filtered
+      fixture: { fixtureId, kickoffISO: m.kickoffISO, home: m.home, away: m.away },
+      state,
+      preMatch: { muH: pre.muH, muA: pre.muA, okSample: pre.okSample, "1x2": pre.p1x2 },
+      ...inPlayProbs(pre, state, ouLines)
     });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
-// backtest: mode=static|walk
-app.get("/api/backtest", async (req, res) => {
+// per-round strength time series for one team (refit as of each round's first kickoff)
+app.get("/api/teams/:team/history", async (req, res) => {
   try {
-    let season = String(req.query.season || "auto");
-    const minEv = clamp(Number(req.query.min_ev || 0.02), 0, 10);
-    const minP = clamp(Number(req.query.min_p || 0.10), 0, 1);
-    const mode = String(req.query.mode || "static"); // static or walk
-
-    const all = await loadAllSeasonsUnified();
-    const counts = seasonCountsWithResults(all);
-
-    if (season === "auto") {
-      const auto = pickAutoBacktestSeason(counts);
-      if (!auto) {
-        return res.json({ meta: { season: "auto", note: "No seasons with played matches were found in the feeds." }, seasons: counts, summary: {}, calibration: {} });
-      }
-      season = auto;
-    }
-
-    const test = all.filter(m => m.season === season && m.kickoffISO && m.hg != null && m.ag != null);
-    if (test.length === 0) {
-      return res.json({ meta: { season, note: "No played matches found for that season." }, seasons: counts, summary: {}, calibration: {} });
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const family = resolveFamily(req.query.model);
+    if (!family) return res.status(400).json(unknownFamilyError(req.query.model));
+    const season = String(req.query.season || currentSeasonOf(comp));
+    if (!comp.seasons.some(s => s.season === season)) return res.status(400).json({ error: `unknown season "${season}" for ${comp.id}` });
+
+    const team = resolveTeam(req.params.team);
+    const all = await loadAllSeasonsUnified(comp.id);
+    if (!all.some(m => m.season === season && (m.home === team.name || m.away === team.name))) {
+      return res.status(404).json({ error: `"${req.params.team}" has no fixtures in ${comp.id} ${season}` });
     }
 
-    const seasonStats = summarizeSeason(all.filter(m => m.season === season));
-    const baseline = baselineProbsFromSeasonStats(seasonStats);
-
-    // Static model: trained on all seasons except test
-    const staticKey = `train_excluding_${season}`;
-    const staticModel = await getModelFor(staticKey, m => m.season !== season);
+    const history = await teamStrengthHistory(all, { team: team.name, season, family, competition: comp.id });
+    res.json({
+      meta: {
+        competition: comp.id,
+        season,
+        team: team.name,
+        id: team.id,
+        short: team.short,
+        family,
+        halfLifeDays: HALF_LIFE_DAYS,
+        refit: "as of each round's first kickoff, on all earlier played matches"
+      },
+      rounds: history
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    // Walk-forward state
-    let walkModel = staticModel;
-    const seen = []; // prior test matches
+// Elo table for one season's teams: the current season by default, rated on every played match;
+// season= shows the ratings carried into that season's first kickoff (season regression applied)
+app.get("/api/ratings", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const season = req.query.season ? String(req.query.season) : null;
+    if (season && !comp.seasons.some(s => s.season === season)) return res.status(400).json({ error: `unknown season "${season}" for ${comp.id}` });
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const tableSeason = season || currentSeasonOf(comp);
+    const fixtures = all.filter(m => m.season === tableSeason);
+    const start = fixtures.map(m => m.kickoffISO).filter(Boolean).sort()[0] || null;
+    const rated = season ? all.filter(m => start && m.kickoffISO && m.kickoffISO < start) : all;
+    const elo = computeElo(rated);
+
+    const teams = new Set();
+    for (const m of fixtures) {
+      if (m.homeId !== "tbd") teams.add(m.home);
+      if (m.awayId !== "tbd") teams.add(m.away);
+    }
+    const byTeam = new Map(elo.table().map(r => [r.team, r]));
+    const ratings = [...teams]
+      .map(team => {
+        const canon = resolveTeam(team);
+        const recent = (elo.history(team) || []).slice(-5);
+        return {
+          team,
+          id: canon.id,
+          short: canon.short,
+          rating: elo.ratingFor(team, season),
+          games: byTeam.get(team)?.games || 0,
+          lastSeason: byTeam.get(team)?.season || null,
+          form: recent.map(x => x.result).join(""),
+          changeLast5: recent.reduce((s, x) => s + x.change, 0)
+        };
+      })
+      .sort((a, b) => b.rating - a.rating)
+      .map((r, i) => ({ rank: i + 1, ...r }));
 
-    const testSorted = [...test].sort((a, b) => new Date(a.kickoffISO).getTime() - new Date(b.kickoffISO).getTime());
-    const oddsFixed = fixedOddsPack();
+    res.json({
+      meta: { competition: comp.id, season: tableSeason, ratedBefore: season ? start : null, matches: rated.filter(isPlayed).length, elo: eloParams(elo) },
+      ratings
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    // metrics
-    let brier1x2 = 0, logloss1x2_sum = 0, n1x2 = 0, accTop = 0;
-    let brier25 = 0, logloss25_sum = 0, n25 = 0;
-    let brier35 = 0, logloss35_sum = 0, n35 = 0;
+// Elo time series for one team (name, alias or id); season= narrows it
+app.get("/api/ratings/:team/history", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const team = resolveTeam(req.params.team);
+    const elo = computeElo(await loadAllSeasonsUnified(comp.id));
 
-    // baselines (logloss only)
-    let baseLL_1x2 = 0, baseLL_25 = 0, baseLL_35 = 0;
+    const history = elo.history(team.name);
+    if (!history) return res.status(404).json({ error: `no rated matches for "${req.params.team}" in ${comp.id}` });
+    const season = req.query.season ? String(req.query.season) : null;
 
-    // ROI
-    const roi = {
-      oneXtwo: { bets: 0, wins: 0, profit: 0 },
-      ou25: { bets: 0, wins: 0, profit: 0 },
-      ou35: { bets: 0, wins: 0, profit: 0 },
-      combined: { bets: 0, wins: 0, profit: 0 }
-    };
+    res.json({
+      meta: { competition: comp.id, team: team.name, id: team.id, season, elo: eloParams(elo) },
+      current: elo.ratingFor(team.name, null),
+      history: season ? history.filter(h => h.season === season) : history
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    // calibration bins
-    const makeBins = () => Array.from({ length: 10 }, (_, i) => ({ bin: i, n: 0, pSum: 0, ySum: 0 }));
-    const calBins = {
-      oneXtwoTop: makeBins(),
-      ou25_raw: makeBins(),
-      ou25_cal: makeBins(),
-      ou35_raw: makeBins(),
-      ou35_cal: makeBins()
-    };
+// CLV: every logged /api/value recommendation scored against the closing line
+app.get("/api/clv/recommendations", async (req, res) => {
+  try {
+    const comp = req.query.competition ? getCompetition(req.query.competition) : null;
+    if (req.query.competition && !comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const bookmaker = req.query.bookmaker ? String(req.query.bookmaker) : null;
+    const status = req.query.status ? String(req.query.status) : null;
+
+    const oddsStore = await loadOddsStore();
+    const recs = (await recommendationLog.with(byKey => ({ result: [...byKey.values()], changed: false })))
+      .filter(r => !comp || r.competition === comp.id)
+      .map(r => ({ ...r, daysBeforeKickoff: daysBeforeKickoff(r.kickoffISO, r.recommendedAt), clv: clvFor(oddsStore, r, bookmaker) }))
+      .filter(r => !status || r.clv.status === status)
+      .sort((a, b) => (a.recommendedAt < b.recommendedAt ? -1 : a.recommendedAt > b.recommendedAt ? 1 : 0));
+
+    res.json({ file: RECOMMENDATIONS_FILE, closing: bookmaker || "best", count: recs.length, recommendations: recs });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    function addCal(bins, p, y) {
-      const b = clamp(Math.floor(p * 10), 0, 9);
-      bins[b].n += 1;
-      bins[b].pSum += p;
-      bins[b].ySum += y;
+// CLV summary over /api/value recommendations and ledger bets: by source, market and days before kickoff
+app.get("/api/clv/summary", async (req, res) => {
+  try {
+    const comp = req.query.competition ? getCompetition(req.query.competition) : null;
+    if (req.query.competition && !comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const source = String(req.query.source || "all");
+    if (!["all", "value", "bets"].includes(source)) return res.status(400).json({ error: "source must be one of all, value, bets" });
+    const bookmaker = req.query.bookmaker ? String(req.query.bookmaker) : null;
+
+    const oddsStore = await loadOddsStore();
+    const items = [];
+    if (source !== "bets") {
+      const recs = await recommendationLog.with(byKey => ({ result: [...byKey.values()], changed: false }));
+      for (const r of recs) {
+        if (comp && r.competition !== comp.id) continue;
+        items.push({ source: "value", market: r.market, takenAt: r.recommendedAt, kickoffISO: r.kickoffISO, clv: clvFor(oddsStore, r, bookmaker) });
+      }
+    }
+    if (source !== "value") {
+      const bets = await withLedger(byId => ({ result: [...byId.values()], changed: false }));
+      for (const b of bets) {
+        if (comp && b.competition !== comp.id) continue;
+        const key = clvSelection(b.market, b.selection, b.line);
+        items.push({ source: "bets", market: key?.mk || b.market, takenAt: b.placedAt, kickoffISO: b.kickoffISO, clv: clvFor(oddsStore, b, bookmaker) });
+      }
     }
 
-    function finalizeBins(bins) {
-      return bins.map(b => ({ bin: b.bin, n: b.n, pAvg: b.n ? b.pSum / b.n : null, yAvg: b.n ? b.ySum / b.n : null }));
+    res.json({
+      competition: comp?.id || "all",
+      source,
+      closing: bookmaker || "best",
+      dayBuckets: CLV_DAY_BUCKET_LABELS,
+      ...summarizeClv(items)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Frozen pre-match forecasts: ?competition=&family=&fixture=&horizon=&status=pending|played
+app.get("/api/forecasts", async (req, res) => {
+  try {
+    const comp = req.query.competition ? getCompetition(req.query.competition) : null;
+    if (req.query.competition && !comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const status = String(req.query.status || "all");
+    if (!["all", "pending", "played"].includes(status)) return res.status(400).json({ error: "status must be all, pending or played" });
+    const horizon = req.query.horizon != null ? Number(req.query.horizon) : null;
+    if (horizon != null && !(horizon > 0)) return res.status(400).json({ error: "horizon must be a positive number of hours" });
+    const fixture = req.query.fixture ? normalizeFixtureId(String(req.query.fixture)) : null;
+    const limit = finiteParam(req.query.limit, 200, 1, 5000);
+    const numError = nonFiniteParamError({ limit });
+    if (numError) return res.status(400).json(numError);
+
+    let forecasts = await forecastArchive.with(byId => ({ result: [...byId.values()], changed: false }));
+    forecasts = forecasts.filter(f =>
+      (!comp || f.competition === comp.id) &&
+      (!req.query.family || f.family === String(req.query.family)) &&
+      (horizon == null || f.horizonHours === horizon) &&
+      (!fixture || f.fixtureId === fixture));
+
+    if (status !== "all") {
+      const played = new Set();
+      for (const id of new Set(forecasts.map(f => f.competition))) {
+        for (const m of await loadAllSeasonsUnified(id)) if (isPlayed(m)) played.add(`${id}|${fixtureIdOf(m)}`);
+      }
+      forecasts = forecasts.filter(f => played.has(`${f.competition}|${f.fixtureId}`) === (status === "played"));
     }
+    forecasts.sort((a, b) => (a.kickoffISO < b.kickoffISO ? 1 : a.kickoffISO > b.kickoffISO ? -1 : b.horizonHours - a.horizonHours));
 
-    for (let i = 0; i < testSorted.length; i++) {
-      const m = testSorted[i];
+    res.json({
+      meta: { horizonsHours: FORECAST_HORIZONS_HOURS, families: FORECAST_FAMILIES, checkMinutes: FORECAST_CHECK_MINUTES, total: forecasts.length },
+      forecasts: forecasts.slice(0, limit)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      let modelToUse = staticModel;
+// Run one archive pass now (the timer does the same every FORECAST_CHECK_MINUTES)
+app.post("/api/forecasts/snapshot", async (req, res) => {
+  try {
+    res.json(await runForecastSnapshots());
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      if (mode === "walk") {
-        if (i > 0 && (i % WALK_REBUILD_EVERY === 0)) {
-          const allTrain = all.filter(x => x.season !== season).concat(seen);
-          const nextModel = buildModelFromMatches(allTrain, { halfLifeDays: HALF_LIFE_DAYS, minGamesPerTeam: MIN_GAMES_PER_TEAM });
+// Frozen forecasts scored against results with the /api/backtest metrics, per horizon:
+// ?competition=&family=&season=&horizon=&min_ev=&min_p=&detail=summary|matches
+app.get("/api/forecasts/performance", async (req, res) => {
+  try {
+    const comp = getCompetition(req.query.competition);
+    if (!comp) return res.status(400).json(unknownCompetitionError(req.query.competition));
+    const family = req.query.family ? resolveFamily(req.query.family) : null;
+    if (req.query.family && !family) return res.status(400).json(unknownFamilyError(req.query.family));
+    const horizon = req.query.horizon != null ? Number(req.query.horizon) : null;
+    if (horizon != null && !(horizon > 0)) return res.status(400).json({ error: "horizon must be a positive number of hours" });
+    const detail = String(req.query.detail || "summary");
+    if (!BACKTEST_DETAILS.includes(detail)) return res.status(400).json({ error: `detail must be one of ${BACKTEST_DETAILS.join(", ")}` });
+    const minEv = finiteParam(req.query.min_ev, 0.02, 0, 10);
+    const minP = finiteParam(req.query.min_p, 0.10, 0, 1);
+    const numError = nonFiniteParamError({ min_ev: minEv, min_p: minP });
+    if (numError) return res.status(400).json(numError);
+    const season = req.query.season ? String(req.query.season) : null;
+
+    const all = await loadAllSeasonsUnified(comp.id);
+    const played = new Map(all.filter(isPlayed).map(m => [fixtureIdOf(m), m]));
+    const forecasts = (await forecastArchive.with(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(f => f.competition === comp.id &&
+        (!family || f.family === family) &&
+        (!season || f.season === season) &&
+        (horizon == null || f.horizonHours === horizon));
+
+    const baselines = new Map();
+    const baselineOf = (s) => {
+      if (!baselines.has(s)) baselines.set(s, baselineProbsFromSeasonStats(summarizeSeason(all.filter(m => m.season === s))));
+      return baselines.get(s);
+    };
+    const odds = fixedOddsPack();
+    const records = forecasts
+      .filter(f => played.has(f.fixtureId))
+      .map(f => scoreFrozenForecast(f, played.get(f.fixtureId), baselineOf(f.season), { minEv, minP, odds }))
+      .sort((a, b) => (a.kickoffISO < b.kickoffISO ? -1 : a.kickoffISO > b.kickoffISO ? 1 : b.horizonHours - a.horizonHours));
+
+    const groups = new Map();
+    for (const r of records) {
+      const key = `${r.family}|${r.horizonHours}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+    const byHorizon = [...groups].map(([key, rs]) => ({
+      family: rs[0].family,
+      horizonHours: rs[0].horizonHours,
+      ...summarizeFrozenForecasts(rs)
+    })).sort((a, b) => (a.family < b.family ? -1 : a.family > b.family ? 1 : b.horizonHours - a.horizonHours));
 
-          if (nextModel) {
-            const trainPlayed = allTrain.filter(x => x.kickoffISO && x.hg != null && x.ag != null);
-            nextModel.calibration = fitTotalsCalibrationForModel(nextModel, trainPlayed) || null;
-          }
-          walkModel = nextModel || walkModel;
+    res.json({
+      meta: {
+        competition: comp.id,
+        family: family || "all",
+        season: season || "all",
+        horizon: horizon ?? "all",
+        forecasts: forecasts.length,
+        scored: records.length,
+        pending: forecasts.length - records.length,
+        roiSim: {
+          minEv, minP,
+          odds: "frozen market prices at snapshot time, fixed odds pack where missing",
+          oddsFixed: odds
         }
-        modelToUse = walkModel || staticModel;
-      }
+      },
+      byHorizon,
+      ...(detail === "matches" ? { matches: records } : {})
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      const probs = matchProbs(modelToUse, m.home, m.away);
-
-      // observed 1x2
-      const yH = m.hg > m.ag ? 1 : 0;
-      const yD = m.hg === m.ag ? 1 : 0;
-      const yA = m.hg < m.ag ? 1 : 0;
-
-      const p = probs.p1x2;
-
-      brier1x2 += (p.H - yH) ** 2 + (p.D - yD) ** 2 + (p.A - yA) ** 2;
-      const ll1 = -(yH * logSafe(p.H) + yD * logSafe(p.D) + yA * logSafe(p.A));
-      logloss1x2_sum += ll1;
-      n1x2 += 1;
-
-      const top = [{ k: "H", v: p.H }, { k: "D", v: p.D }, { k: "A", v: p.A }].sort((a, b) => b.v - a.v)[0];
-      const topY = top.k === "H" ? yH : top.k === "D" ? yD : yA;
-      accTop += topY;
-      addCal(calBins.oneXtwoTop, top.v, topY);
-
-      // totals observed
-      const tg = m.hg + m.ag;
-      const y25 = tg >= 3 ? 1 : 0;
-      const y35 = tg >= 4 ? 1 : 0;
-
-      addCal(calBins.ou25_raw, probs.pOver25_raw, y25);
-      addCal(calBins.ou25_cal, probs.pOver25, y25);
-      addCal(calBins.ou35_raw, probs.pOver35_raw, y35);
-      addCal(calBins.ou35_cal, probs.pOver35, y35);
-
-      brier25 += (probs.pOver25 - y25) ** 2;
-      logloss25_sum += -(y25 * logSafe(probs.pOver25) + (1 - y25) * logSafe(1 - probs.pOver25));
-      n25 += 1;
-
-      brier35 += (probs.pOver35 - y35) ** 2;
-      logloss35_sum += -(y35 * logSafe(probs.pOver35) + (1 - y35) * logSafe(1 - probs.pOver35));
-      n35 += 1;
-
-      // baseline logloss accumulation
-      baseLL_1x2 += logloss1x2(baseline.p1x2, yH, yD, yA);
-      baseLL_25 += loglossBinaryP(baseline.pOver25, y25);
-      baseLL_35 += loglossBinaryP(baseline.pOver35, y35);
-
-      // ROI sim using FIXED odds (so bets exist)
-      const odds1x2 = oddsFixed.oneXtwo;
-      const oddsO25 = oddsFixed.ou25_over;
-      const oddsO35 = oddsFixed.ou35_over;
-
-      // 1x2: bet top pick if EV passes
-      const topOdds = top.k === "H" ? odds1x2.H : top.k === "D" ? odds1x2.D : odds1x2.A;
-      const topP = top.v;
-      const topEV = topP * (topOdds - 1) * (1 - COMMISSION) - (1 - topP);
-      if (topP >= minP && topEV >= minEv) {
-        roi.oneXtwo.bets++; roi.combined.bets++;
-        if (topY === 1) { roi.oneXtwo.wins++; roi.combined.wins++; }
-        const pr = profit1uBinary(topY === 1, topOdds);
-        roi.oneXtwo.profit += pr; roi.combined.profit += pr;
-      }
+// Value alert subscriptions: /api/value filters + webhook url (secret returned once, signs every delivery)
+app.post("/api/alerts", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { alert, error } = await parseAlertSubscription(body);
+    if (error) return res.status(400).json(error);
+    await alertSubscriptions.with(byId => {
+      byId.set(alert.id, alert);
+      return { result: null, changed: true };
+    });
+    scheduleAlertCheck("subscribed");
+    res.status(201).json({ ...publicAlert(alert), secret: alert.secret });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      // OU2.5 Over
-      const ev25 = probs.pOver25 * (oddsO25 - 1) * (1 - COMMISSION) - (1 - probs.pOver25);
-      if (probs.pOver25 >= minP && ev25 >= minEv) {
-        roi.ou25.bets++; roi.combined.bets++;
-        if (y25 === 1) { roi.ou25.wins++; roi.combined.wins++; }
-        const pr = profit1uBinary(y25 === 1, oddsO25);
-        roi.ou25.profit += pr; roi.combined.profit += pr;
-      }
+app.get("/api/alerts", async (req, res) => {
+  try {
+    const alerts = (await alertSubscriptions.with(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(a => !req.query.competition || a.competition === String(req.query.competition))
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+    res.json({
+      meta: { checkMinutes: ALERT_CHECK_MINUTES, maxAttempts: ALERT_MAX_ATTEMPTS, retryBaseMs: ALERT_RETRY_BASE_MS, checking: !!alertRun },
+      alerts: alerts.map(publicAlert)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      // OU3.5 Over
-      const ev35 = probs.pOver35 * (oddsO35 - 1) * (1 - COMMISSION) - (1 - probs.pOver35);
-      if (probs.pOver35 >= minP && ev35 >= minEv) {
-        roi.ou35.bets++; roi.combined.bets++;
-        if (y35 === 1) { roi.ou35.wins++; roi.combined.wins++; }
-        const pr = profit1uBinary(y35 === 1, oddsO35);
-        roi.ou35.profit += pr; roi.combined.profit += pr;
-      }
+// Run a check now; the triggered deliveries are listed (their attempts land in /api/alerts/deliveries)
+app.post("/api/alerts/check", async (req, res) => {
+  try {
+    res.json(await runAlertCheck("manual"));
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-      if (mode === "walk") seen.push(m);
-    }
+// Delivery log, newest first: ?alert=&status=pending|delivered|failed&limit=
+app.get("/api/alerts/deliveries", async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !["pending", "delivered", "failed"].includes(status)) return res.status(400).json({ error: "status must be pending, delivered or failed" });
+    const limit = finiteParam(req.query.limit, 50, 1, ALERT_DELIVERY_LOG_MAX);
+    const numError = nonFiniteParamError({ limit });
+    if (numError) return res.status(400).json(numError);
+    const deliveries = (await alertDeliveries.with(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(d => (!req.query.alert || d.alertId === String(req.query.alert)) && (!status || d.status === status))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    res.json({ total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    const fmtRoi = (x) => ({
-      ...x,
-      roi: x.bets ? x.profit / x.bets : null,
-      winRate: x.bets ? x.wins / x.bets : null
+app.get("/api/alerts/:id", async (req, res) => {
+  try {
+    const alert = await alertSubscriptions.with(byId => ({ result: byId.get(req.params.id) || null, changed: false }));
+    if (!alert) return res.status(404).json({ error: `unknown alert "${req.params.id}"` });
+    const deliveries = (await alertDeliveries.with(byId => ({ result: [...byId.values()], changed: false })))
+      .filter(d => d.alertId === alert.id)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, 20);
+    const tracked = Object.entries(alert.seen || {}).map(([key, v]) => ({ key, ...v }));
+    res.json({
+      alert: publicAlert(alert),
+      qualifying: tracked.filter(x => x.qualifies),
+      deliveries: deliveries.map(({ payload, ...d }) => d)
     });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
 
-    const modelText = `Poisson+TimeDecay+HA (HL ${HALF_LIFE_DAYS}d) + xG-shrink + Platt(guarded)`;
-
-    res.json({
-      meta: {
-        season,
-        mode,
-        trainedOn: SEASON_FEEDS.map(x => x.season).filter(s => s !== season),
-        model: modelText,
-        thresholds: { minEv, minP },
-        xgShrink: { alpha: SHRINK_ALPHA, goalCap: GOAL_CAP },
-        roiSim: { type: "fixed_odds", odds: oddsFixed },
-        calibration_static: staticModel?.calibration || null
-      },
-      summary: {
-        matches: testSorted.length,
-        oneXtwo: {
-          topPickAcc: n1x2 ? accTop / n1x2 : null,
-          brier: n1x2 ? brier1x2 / n1x2 : null,
-          logloss: n1x2 ? logloss1x2_sum / n1x2 : null,
-          roi: fmtRoi(roi.oneXtwo)
-        },
-        ou25: {
-          brier: n25 ? brier25 / n25 : null,
-          logloss: n25 ? logloss25_sum / n25 : null,
-          roi: fmtRoi(roi.ou25)
-        },
-        ou35: {
-          brier: n35 ? brier35 / n35 : null,
-          logloss: n35 ? logloss35_sum / n35 : null,
-          roi: fmtRoi(roi.ou35)
-        },
-        combined: fmtRoi(roi.combined),
-        baseline: {
-          oneXtwo_logloss: baseLL_1x2 / testSorted.length,
-          ou25_logloss: baseLL_25 / testSorted.length,
-          ou35_logloss: baseLL_35 / testSorted.length
-        },
-        deltaLogloss: {
-          oneXtwo: (logloss1x2_sum / n1x2) - (baseLL_1x2 / testSorted.length),
-          ou25: (logloss25_sum / n25) - (baseLL_25 / testSorted.length),
-          ou35: (logloss35_sum / n35) - (baseLL_35 / testSorted.length)
-        }
-      },
-      calibration: {
-        oneXtwoTop: finalizeBins(calBins.oneXtwoTop),
-        ou25_raw: finalizeBins(calBins.ou25_raw),
-        ou25_cal: finalizeBins(calBins.ou25_cal),
-        ou35_raw: finalizeBins(calBins.ou35_raw),
-        ou35_cal: finalizeBins(calBins.ou35_cal)
-      }
+app.delete("/api/alerts/:id", async (req, res) => {
+  try {
+    const removed = await alertSubscriptions.with(byId => {
+      const alert = byId.get(req.params.id) || null;
+      if (alert) byId.delete(alert.id);
+      return { result: alert, changed: !!alert };
     });
+    if (!removed) return res.status(404).json({ error: `unknown alert "${req.params.id}"` });
+    res.json({ deleted: removed.id, alert: publicAlert(removed) });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
-app.listen(PORT, () => console.log("Server running on", PORT));
+app.listen(PORT, () => {
+  console.log("Server running on", PORT);
+  startForecastArchive();
+  startAlertChecker();
+});